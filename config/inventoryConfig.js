@@ -0,0 +1,22 @@
+// Inventory ledger settings.
+// Every stock change is stored as a StockMovement of one of these types:
+// sale: taken by an order, cancellation: given back when an order is cancelled or deleted before shipping,
+// adjustment: manual correction with a reason, import: set by a bulk product import,
+// return: goods sent back by the customer of a shipped or delivered order.
+const stockMovementTypes = ['sale', 'cancellation', 'adjustment', 'import', 'return'];
+
+// Movement types that can be recorded through POST /products/:id/stock.
+const manualMovementTypes = ['adjustment', 'return'];
+
+// Order statuses whose goods can come back as a return.
+const returnableOrderStatuses = ['shipped', 'delivered'];
+
+// Products (or variants) with less stock than their threshold show up in the low-stock report; 0 turns it off.
+const defaultLowStockThreshold = 5;
+
+module.exports = {
+  stockMovementTypes,
+  manualMovementTypes,
+  returnableOrderStatuses,
+  defaultLowStockThreshold
+};
@@ -0,0 +1,26 @@
+// Product image upload limits.
+// Types are recognised by their leading bytes, never by the client's file name or Content-Type.
+const imageTypes = {
+  'image/jpeg': { extension: 'jpg', signatures: [[0xff, 0xd8, 0xff]] },
+  'image/png': { extension: 'png', signatures: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]] },
+  'image/gif': { extension: 'gif', signatures: [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]] },
+  // RIFF....WEBP: bytes 4-7 hold the file size, so they are skipped.
+  'image/webp': { extension: 'webp', signatures: [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]] }
+};
+
+const maxImageBytes = 5 * 1024 * 1024;
+const maxImagesPerProduct = 10;
+const maxImagesPerUpload = 5;
+const maxAltLength = 250;
+
+// Stored files never change (every upload gets a new key), so browsers may cache them for a long time.
+const mediaCacheMaxAgeMs = 30 * 24 * 60 * 60 * 1000;
+
+module.exports = {
+  imageTypes,
+  maxImageBytes,
+  maxImagesPerProduct,
+  maxImagesPerUpload,
+  maxAltLength,
+  mediaCacheMaxAgeMs
+};
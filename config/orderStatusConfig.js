@@ -0,0 +1,43 @@
+// Order status state machine.
+// transitions: every status change an order can go through.
+// Cancellation is only possible before the order has shipped.
+const orderStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+const orderStatusTransitions = {
+  pending:    ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped:    ['delivered'],
+  delivered:  [],
+  cancelled:  []
+};
+
+// Per-role transition overrides: from-status -> allowed target statuses.
+// Roles not listed here may use the full graph when they hold `manage_orders`.
+const roleStatusTransitions = {
+  delivery: { shipped: ['delivered'] }
+};
+
+// Per-vendor fulfilment groups inside one order.
+// Groups are cancelled or delivered together with their order; vendors only prepare and ship.
+const fulfillmentStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+const fulfillmentStatusTransitions = {
+  pending:    ['processing'],
+  processing: ['shipped'],
+  shipped:    ['delivered'],
+  delivered:  [],
+  cancelled:  []
+};
+
+const roleFulfillmentTransitions = {
+  vendor: { pending: ['processing'], processing: ['shipped'] }
+};
+
+module.exports = {
+  orderStatuses,
+  orderStatusTransitions,
+  roleStatusTransitions,
+  fulfillmentStatuses,
+  fulfillmentStatusTransitions,
+  roleFulfillmentTransitions
+};
@@ -0,0 +1,40 @@
+// Payment lifecycle of an order.
+// pending: no successful payment yet, authorized: funds held, captured: paid,
+// failed: last attempt declined (a new intent can be created),
+// refund_pending: paid order was cancelled and the money is owed back, refunded: money returned.
+const paymentStatuses = ['pending', 'authorized', 'captured', 'failed', 'refund_pending', 'refunded'];
+
+// Status changes a provider event may cause; events that do not fit are recorded and ignored.
+const paymentStatusTransitions = {
+  pending:        ['authorized', 'captured', 'failed'],
+  authorized:     ['captured', 'failed'],
+  captured:       ['refunded'],
+  failed:         ['pending', 'authorized', 'captured'],
+  refund_pending: ['refunded'],
+  refunded:       []
+};
+
+// Only paid orders may move to processing.
+const paidPaymentStatuses = ['captured'];
+
+// Webhook event types and the payment status they report.
+const paymentEventStatuses = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'captured',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+// Signed webhooks older than this are rejected to stop replays.
+const webhookToleranceMs = 5 * 60 * 1000;
+
+const currency = process.env.CURRENCY || 'INR';
+
+module.exports = {
+  paymentStatuses,
+  paymentStatusTransitions,
+  paidPaymentStatuses,
+  paymentEventStatuses,
+  webhookToleranceMs,
+  currency
+};
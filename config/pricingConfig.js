@@ -0,0 +1,51 @@
+// Tax and shipping rules used to price orders and quotes.
+
+// Whether catalogue prices already include tax (PRICES_INCLUDE_TAX=true).
+// Inclusive prices have the tax carved out of each line; exclusive prices get it added on top.
+const pricesIncludeTax = process.env.PRICES_INCLUDE_TAX === 'true';
+
+// Tax rates by destination and product category. The most specific matching rule wins:
+// a region match beats a country-wide rule, and a category match beats an any-category rule.
+// Destinations without a rule are not taxed. Shipping is never taxed.
+const taxRules = [
+  { country: 'IN', rate: 0.18 },
+  { country: 'IN', category: 'books', rate: 0 },
+  { country: 'GB', rate: 0.2 },
+  { country: 'GB', category: 'books', rate: 0 },
+  { country: 'DE', rate: 0.19 },
+  { country: 'DE', category: 'books', rate: 0.07 },
+  { country: 'FR', rate: 0.2 },
+  { country: 'NL', rate: 0.21 },
+  { country: 'AU', rate: 0.1 },
+  { country: 'CA', rate: 0.05 },
+  { country: 'CA', region: 'ON', rate: 0.13 },
+  { country: 'US', region: 'CA', rate: 0.0725 },
+  { country: 'US', region: 'NY', rate: 0.04 }
+];
+
+// Shipping rules by destination. The first rule listing the destination country is used,
+// otherwise the first rule without `countries`; destinations matching no rule cannot be shipped to.
+// type flat: { amount }; weight: tiers by total kg; quantity: tiers by item count.
+// Tiers are { upTo, amount } in ascending order and the last tier may leave out upTo.
+// freeOver: orders whose discounted subtotal reaches this value ship free.
+const shippingRules = [
+  { name: 'Domestic', countries: ['IN'], type: 'flat', amount: 49, freeOver: 999 },
+  {
+    name: 'Europe',
+    countries: ['GB', 'DE', 'FR', 'NL'],
+    type: 'weight',
+    tiers: [{ upTo: 1, amount: 499 }, { upTo: 5, amount: 899 }, { amount: 1499 }],
+    freeOver: 9999
+  },
+  {
+    name: 'International',
+    type: 'quantity',
+    tiers: [{ upTo: 3, amount: 999 }, { upTo: 10, amount: 1799 }, { amount: 2999 }]
+  }
+];
+
+module.exports = {
+  pricesIncludeTax,
+  taxRules,
+  shippingRules
+};
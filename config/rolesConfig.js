@@ -1,28 +1,29 @@
-// Central role configuration.
+// Default role configuration, seeded into the roles collection on startup.
+// Roles are managed at runtime through /api/roles afterwards.
 // rank: higher value means higher authority.
 // permissions: actions allowed for each role.
 const rolesHierarchy = {
   root:      { rank: 11, permissions: ['all'] },
   
-  superuser: { rank: 10, permissions: ['manage_users', 'manage_products', 'manage_orders', 'assign_roles'] },
+  superuser: { rank: 10, permissions: ['manage_users', 'manage_products', 'manage_orders', 'assign_roles', 'read_audit_logs', 'manage_roles', 'update_content', 'manage_tickets'] },
   
-  admin:     { rank: 9,  permissions: ['manage_users', 'manage_products', 'manage_orders', 'assign_roles'] },
+  admin:     { rank: 9,  permissions: ['manage_users', 'manage_products', 'manage_orders', 'assign_roles', 'read_audit_logs', 'update_content', 'manage_tickets'] },
   
-  manager:   { rank: 8,  permissions: ['manage_products', 'manage_orders', 'assign_roles'] },
+  manager:   { rank: 8,  permissions: ['manage_products', 'manage_orders', 'assign_roles', 'manage_coupons', 'assign_deliveries'] },
   
-  editor:    { rank: 7,  permissions: ['update_content', 'read_products'] },
+  editor:    { rank: 7,  permissions: ['update_content', 'read_products', 'moderate_reviews'] },
   
   sales:     { rank: 6,  permissions: ['read_orders', 'read_revenue'] },
   
-  marketing: { rank: 5,  permissions: ['update_seo', 'read_products'] },
+  marketing: { rank: 5,  permissions: ['update_seo', 'read_products', 'manage_coupons'] },
   
-  vendor:    { rank: 4,  permissions: ['create_product', 'manage_own_products', 'read_own_orders'] },
+  vendor:    { rank: 4,  permissions: ['create_product', 'manage_own_products', 'read_own_orders', 'fulfill_own_orders'] },
   
   delivery:  { rank: 3,  permissions: ['update_order_status', 'read_assigned_orders'] },
   
-  support:   { rank: 2,  permissions: ['read_orders', 'read_users'] },
+  support:   { rank: 2,  permissions: ['read_orders', 'read_users', 'moderate_reviews', 'manage_tickets'] },
   
-  user:      { rank: 1,  permissions: ['manage_own_profile', 'place_orders', 'read_products'] }
+  user:      { rank: 1,  permissions: ['manage_own_profile', 'place_orders', 'read_products', 'create_tickets'] }
 };
 
 module.exports = rolesHierarchy;
@@ -0,0 +1,26 @@
+// Brute-force protection settings.
+// loginLockout: after maxFailedAttempts wrong passwords the account locks for baseLockMs,
+// doubling with each further failure up to maxLockMs.
+const loginLockout = {
+  maxFailedAttempts: 5,
+  baseLockMs: 60 * 1000,
+  maxLockMs: 60 * 60 * 1000
+};
+
+// Per-IP request limits for public auth routes: at most `max` requests per `windowMs`.
+const rateLimits = {
+  login:              { windowMs: 15 * 60 * 1000, max: 50 },
+  forgotPassword:     { windowMs: 60 * 60 * 1000, max: 5 },
+  signup:             { windowMs: 60 * 60 * 1000, max: 10 },
+  verifyEmail:        { windowMs: 60 * 60 * 1000, max: 20 },
+  resendVerification: { windowMs: 60 * 60 * 1000, max: 5 }
+};
+
+// Same answer for rate-limited IPs and locked accounts.
+const tooManyAttemptsMessage = 'Too many attempts. Please try again later.';
+
+module.exports = {
+  loginLockout,
+  rateLimits,
+  tooManyAttemptsMessage
+};
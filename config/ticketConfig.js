@@ -0,0 +1,19 @@
+// Support ticket lifecycle.
+// open: waiting on support, pending: waiting on the customer, resolved: answer given, closed: final.
+const ticketStatuses = ['open', 'pending', 'resolved', 'closed'];
+
+const ticketPriorities = ['low', 'normal', 'high', 'urgent'];
+
+// SLA targets in hours, measured from ticket creation.
+const ticketSlaHours = {
+  low:    { firstResponse: 48, resolution: 168 },
+  normal: { firstResponse: 24, resolution: 72 },
+  high:   { firstResponse: 8,  resolution: 24 },
+  urgent: { firstResponse: 1,  resolution: 8 }
+};
+
+module.exports = {
+  ticketStatuses,
+  ticketPriorities,
+  ticketSlaHours
+};
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Address = require('../models/Address');
+const { POSTAL_FIELDS, normalizePostalAddress, getPostalAddressError } = require('../utils/addresses');
+
+const MAX_ADDRESSES_PER_USER = 20;
+const DEFAULT_FLAGS = ['isDefaultShipping', 'isDefaultBilling'];
+
+// Apply label, postal fields and default flags from the request body to an address document.
+const applyAddressBody = (address, body) => {
+  if (body.label !== undefined) address.label = body.label.trim();
+
+  const postalChanges = POSTAL_FIELDS.filter((field) => body[field] !== undefined);
+  if (postalChanges.length > 0) {
+    const current = {};
+    for (const field of POSTAL_FIELDS) current[field] = address[field];
+    const merged = { ...current };
+    for (const field of postalChanges) merged[field] = body[field];
+
+    const error = getPostalAddressError(merged);
+    if (error) throw Object.assign(new Error(error), { statusCode: 400 });
+
+    const normalized = normalizePostalAddress(merged);
+    for (const field of POSTAL_FIELDS) address[field] = normalized[field];
+  }
+
+  for (const flag of DEFAULT_FLAGS) {
+    if (body[flag] !== undefined) address[flag] = body[flag];
+  }
+};
+
+// A new default replaces the user's previous one.
+const clearOtherDefaults = async (address, session) => {
+  for (const flag of DEFAULT_FLAGS) {
+    if (address[flag] && address.isModified(flag)) {
+      await Address.updateMany(
+        { user: address.user, _id: { $ne: address._id }, [flag]: true },
+        { $set: { [flag]: false } },
+        { session }
+      );
+    }
+  }
+};
+
+// List the caller's address book, default shipping address first.
+exports.getMyAddresses = async (req, res) => {
+  try {
+    const addresses = await Address.find({ user: req.user._id }).sort({ isDefaultShipping: -1, createdAt: -1 });
+    res.status(200).json({ success: true, data: addresses });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Get one of the caller's addresses.
+exports.getAddressById = async (req, res) => {
+  try {
+    const address = await Address.findOne({ _id: req.params.id, user: req.user._id });
+    if (!address) {
+      return res.status(404).json({ success: false, message: 'Address not found' });
+    }
+    res.status(200).json({ success: true, data: address });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Add an address. The first address becomes the default for shipping and billing unless told otherwise.
+exports.createAddress = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let address;
+    await session.withTransaction(async () => {
+      const count = await Address.countDocuments({ user: req.user._id }).session(session);
+      if (count >= MAX_ADDRESSES_PER_USER) {
+        throw Object.assign(new Error(`An address book can hold at most ${MAX_ADDRESSES_PER_USER} addresses`), { statusCode: 409 });
+      }
+
+      address = new Address({ user: req.user._id });
+      applyAddressBody(address, {
+        isDefaultShipping: count === 0,
+        isDefaultBilling: count === 0,
+        ...req.body
+      });
+      await clearOtherDefaults(address, session);
+      await address.save({ session });
+    });
+
+    res.status(201).json({ success: true, data: address, message: 'Address created successfully' });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Update an address. Orders keep the snapshot taken when they were placed.
+exports.updateAddress = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let address;
+    await session.withTransaction(async () => {
+      address = await Address.findOne({ _id: req.params.id, user: req.user._id }).session(session);
+      if (!address) throw Object.assign(new Error('Address not found'), { statusCode: 404 });
+
+      applyAddressBody(address, req.body);
+      await clearOtherDefaults(address, session);
+      await address.save({ session });
+    });
+
+    res.status(200).json({ success: true, data: address, message: 'Address updated successfully' });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Delete an address.
+exports.deleteAddress = async (req, res) => {
+  try {
+    const address = await Address.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!address) {
+      return res.status(404).json({ success: false, message: 'Address not found' });
+    }
+    res.status(200).json({ success: true, message: 'Address deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
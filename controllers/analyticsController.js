@@ -0,0 +1,242 @@
+const Order = require('../models/Order');
+const { hasPermission } = require('../utils/rbac');
+const { roundMoney } = require('../utils/coupons');
+const {
+  resolveRange,
+  resolveVendorScope,
+  orderMatchStage,
+  lineStages,
+  lineRevenue
+} = require('../utils/analytics');
+
+// Vendors without `read_revenue` only see their own products.
+const scopeFor = (user) => resolveVendorScope(hasPermission(user, 'read_revenue') ? null : user._id);
+
+// Revenue and order counts per day/week/month.
+// Revenue is net of discounts and tax (see lineRevenue); vendors only count their own lines.
+exports.getRevenueSeries = async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    const scope = await scopeFor(req.user);
+    const interval = req.query.interval || 'day';
+    const timezone = req.query.timezone || 'UTC';
+    const bucket = { $dateTrunc: { date: '$createdAt', unit: interval, timezone } };
+
+    const pipeline = [
+      orderMatchStage(range, scope),
+      ...lineStages(scope),
+      { $group: { _id: bucket, revenue: { $sum: lineRevenue }, orderIds: { $addToSet: '$_id' } } },
+      { $project: { _id: 0, period: '$_id', revenue: 1, orders: { $size: '$orderIds' } } }
+    ];
+
+    const series = await Order.aggregate([...pipeline, { $sort: { period: 1 } }]);
+
+    res.status(200).json({
+      success: true,
+      data: series.map((point) => ({ ...point, revenue: roundMoney(point.revenue) })),
+      meta: { ...range, interval, timezone, scope: scope ? 'vendor' : 'global' }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Headline numbers: revenue, orders, average order value, units and cancellation rate.
+exports.getSummary = async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    const scope = await scopeFor(req.user);
+
+    const [result] = await Order.aggregate([
+      orderMatchStage(range, scope, { includeCancelled: true }),
+      {
+        $facet: {
+          statuses: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          lines: [
+            { $match: { status: { $ne: 'cancelled' } } },
+            ...lineStages(scope),
+            { $group: { _id: null, revenue: { $sum: lineRevenue }, units: { $sum: '$products.quantity' } } }
+          ]
+        }
+      }
+    ]);
+
+    const countsByStatus = Object.fromEntries(result.statuses.map((entry) => [entry._id, entry.count]));
+    const allOrders = Object.values(countsByStatus).reduce((sum, count) => sum + count, 0);
+    const cancelledOrders = countsByStatus.cancelled || 0;
+    const orders = allOrders - cancelledOrders;
+    const { revenue, units } = result.lines[0] || { revenue: 0, units: 0 };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        revenue: roundMoney(revenue),
+        orders,
+        units,
+        averageOrderValue: orders ? roundMoney(revenue / orders) : 0,
+        cancelledOrders,
+        cancellationRate: allOrders ? Math.round((cancelledOrders / allOrders) * 10000) / 10000 : 0,
+        ordersByStatus: countsByStatus
+      },
+      meta: { ...range, scope: scope ? 'vendor' : 'global' }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Best selling products by units or revenue.
+exports.getTopProducts = async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    const scope = await scopeFor(req.user);
+    const sortField = req.query.by === 'revenue' ? 'revenue' : 'units';
+    const limit = Number(req.query.limit) || 10;
+
+    const products = await Order.aggregate([
+      orderMatchStage(range, scope),
+      ...lineStages(scope),
+      { $group: { _id: '$products.product', units: { $sum: '$products.quantity' }, revenue: { $sum: lineRevenue } } },
+      { $sort: { [sortField]: -1, _id: 1 } },
+      { $limit: limit },
+      { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+      {
+        $project: {
+          _id: 0,
+          product: '$_id',
+          name: { $ifNull: [{ $first: '$product.name' }, null] },
+          category: { $ifNull: [{ $first: '$product.category' }, null] },
+          units: 1,
+          revenue: 1
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: products.map((entry) => ({ ...entry, revenue: roundMoney(entry.revenue) })),
+      meta: { ...range, by: sortField, scope: scope ? 'vendor' : 'global' }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Best selling categories by units or revenue.
+// Lines of deleted products are reported under "uncategorized".
+exports.getTopCategories = async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    const scope = await scopeFor(req.user);
+    const sortField = req.query.by === 'revenue' ? 'revenue' : 'units';
+    const limit = Number(req.query.limit) || 10;
+
+    const categories = await Order.aggregate([
+      orderMatchStage(range, scope),
+      ...lineStages(scope),
+      { $lookup: { from: 'products', localField: 'products.product', foreignField: '_id', as: 'product' } },
+      {
+        $group: {
+          _id: { $ifNull: [{ $first: '$product.category' }, 'uncategorized'] },
+          units: { $sum: '$products.quantity' },
+          revenue: { $sum: lineRevenue }
+        }
+      },
+      { $sort: { [sortField]: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, category: '$_id', units: 1, revenue: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: categories.map((entry) => ({ ...entry, revenue: roundMoney(entry.revenue) })),
+      meta: { ...range, by: sortField, scope: scope ? 'vendor' : 'global' }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Revenue per vendor. Global report for `read_revenue` roles only.
+exports.getVendorRevenue = async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    const vendors = await Order.aggregate([
+      orderMatchStage(range, null),
+      ...lineStages(null),
+      {
+        $group: {
+          _id: '$products.vendor',
+          units: { $sum: '$products.quantity' },
+          revenue: { $sum: lineRevenue },
+          orderIds: { $addToSet: '$_id' }
+        }
+      },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'vendor' } },
+      {
+        $project: {
+          _id: 0,
+          vendor: '$_id',
+          name: { $ifNull: [{ $first: '$vendor.name' }, null] },
+          units: 1,
+          revenue: 1,
+          orders: { $size: '$orderIds' }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: vendors.map((entry) => ({ ...entry, revenue: roundMoney(entry.revenue) })),
+      meta: range
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// New vs returning customers in the window.
+// A customer is new when their first non-cancelled order falls inside the window.
+exports.getCustomerStats = async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    const scope = await scopeFor(req.user);
+    const historyMatch = { status: { $ne: 'cancelled' }, createdAt: { $lte: range.to } };
+    if (scope) Object.assign(historyMatch, scope.match);
+
+    const [result] = await Order.aggregate([
+      { $match: historyMatch },
+      {
+        $group: {
+          _id: '$user',
+          firstOrderAt: { $min: '$createdAt' },
+          ordersInRange: { $sum: { $cond: [{ $gte: ['$createdAt', range.from] }, 1, 0] } }
+        }
+      },
+      { $match: { ordersInRange: { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          customers: { $sum: 1 },
+          newCustomers: { $sum: { $cond: [{ $gte: ['$firstOrderAt', range.from] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const customers = result ? result.customers : 0;
+    const newCustomers = result ? result.newCustomers : 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customers,
+        newCustomers,
+        returningCustomers: customers - newCustomers
+      },
+      meta: { ...range, scope: scope ? 'vendor' : 'global' }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
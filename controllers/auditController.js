@@ -0,0 +1,38 @@
+const AuditLog = require('../models/AuditLog');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+// Get audit log entries, newest first.
+// Filterable by actor, target, action and time range.
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { actor, targetType, targetId, action, from, to } = req.query;
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const pagination = parsePagination(req.query);
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: logs,
+      pagination: buildPaginationMeta(pagination, total)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
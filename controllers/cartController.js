@@ -0,0 +1,221 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { placeOrder } = require('../utils/orderPlacement');
+const { recordAudit } = require('../utils/audit');
+const { resolveShippingAddress } = require('../utils/addresses');
+
+// Build the cart view with live prices and per-line stock warnings.
+// Lines for deleted or unavailable products are flagged instead of dropped.
+const buildCartView = async (cart) => {
+  const items = cart ? cart.items : [];
+  const productIds = items.map((item) => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map((product) => [String(product._id), product]));
+
+  let subtotal = 0;
+  const lines = items.map((item) => {
+    const product = productMap.get(String(item.product)) || null;
+    const variant = product && item.variant ? product.variants.id(item.variant) : null;
+    const available = product && (!item.variant || (variant && variant.isActive));
+    const stock = variant ? variant.stock : (product ? product.stock : 0);
+    let warning = null;
+
+    if (!available) {
+      warning = 'product_unavailable';
+    } else if (product.variants.length > 0 && !variant) {
+      warning = 'variant_required';
+    } else if (stock <= 0) {
+      warning = 'out_of_stock';
+    } else if (stock < item.quantity) {
+      warning = 'insufficient_stock';
+    }
+
+    const unitPrice = available ? product.getUnitPrice(variant) : null;
+    const lineTotal = available ? unitPrice * item.quantity : 0;
+    if (!warning) subtotal += lineTotal;
+
+    return {
+      product: product || item.product,
+      variant: variant || item.variant,
+      quantity: item.quantity,
+      unitPrice,
+      lineTotal,
+      availableStock: available ? stock : 0,
+      warning
+    };
+  });
+
+  return {
+    items: lines,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal,
+    hasWarnings: lines.some((line) => line.warning)
+  };
+};
+
+// Get current user's cart.
+exports.getCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    res.status(200).json({ success: true, data: await buildCartView(cart) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Add a product to the cart.
+// Adding a product already in the cart increases its quantity.
+exports.addItem = async (req, res) => {
+  try {
+    const { product: productId, quantity } = req.body;
+    const variantId = req.body.variant || null;
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (variantId && !product.variants.id(variantId)) {
+      return res.status(404).json({ success: false, message: 'Variant not found' });
+    }
+    if (!variantId && product.variants.length > 0) {
+      return res.status(400).json({ success: false, message: 'This product requires a variant selection' });
+    }
+
+    let cart = await Cart.findOneAndUpdate(
+      { user: req.user._id, items: { $elemMatch: { product: productId, variant: variantId } } },
+      { $inc: { 'items.$.quantity': quantity } },
+      { returnDocument: 'after' }
+    );
+
+    if (!cart) {
+      cart = await Cart.findOneAndUpdate(
+        { user: req.user._id },
+        { $push: { items: { product: productId, variant: variantId, quantity } } },
+        { returnDocument: 'after', upsert: true }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildCartView(cart),
+      message: 'Item added to cart'
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Set the quantity of one cart line.
+// Variant lines are addressed with `?variant=<variantId>`.
+exports.updateItemQuantity = async (req, res) => {
+  try {
+    const cart = await Cart.findOneAndUpdate(
+      { user: req.user._id, items: { $elemMatch: { product: req.params.productId, variant: req.query.variant || null } } },
+      { $set: { 'items.$.quantity': req.body.quantity } },
+      { returnDocument: 'after', runValidators: true }
+    );
+    if (!cart) {
+      return res.status(404).json({ success: false, message: 'Item not found in cart' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildCartView(cart),
+      message: 'Cart item updated'
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Remove one line from the cart.
+// Variant lines are addressed with `?variant=<variantId>`.
+exports.removeItem = async (req, res) => {
+  try {
+    const line = { product: req.params.productId, variant: req.query.variant || null };
+    const cart = await Cart.findOneAndUpdate(
+      { user: req.user._id, items: { $elemMatch: line } },
+      { $pull: { items: line } },
+      { returnDocument: 'after' }
+    );
+    if (!cart) {
+      return res.status(404).json({ success: false, message: 'Item not found in cart' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildCartView(cart),
+      message: 'Item removed from cart'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Remove all lines from the cart.
+exports.clearCart = async (req, res) => {
+  try {
+    await Cart.updateOne({ user: req.user._id }, { $set: { items: [] } });
+    res.status(200).json({
+      success: true,
+      data: await buildCartView(null),
+      message: 'Cart cleared'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Turn the cart into an order.
+// Uses the same transactional stock decrement as POST /orders and empties the cart on success.
+exports.checkout = async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Cart is empty' });
+    }
+
+    const view = await buildCartView(cart);
+    if (view.hasWarnings) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some cart items are unavailable or out of stock. Update your cart before checkout.',
+        data: view
+      });
+    }
+
+    const products = cart.items.map((item) => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity
+    }));
+    const savedOrder = await placeOrder({
+      user: req.user._id,
+      role: req.user.role,
+      products,
+      shippingAddress: await resolveShippingAddress(req.user._id, req.body),
+      couponCode: req.body.couponCode,
+      afterCreate: (order, session) => Cart.updateOne(
+        { _id: cart._id },
+        { $set: { items: [] } },
+        { session }
+      )
+    });
+    await recordAudit(req, {
+      action: 'order.create',
+      targetType: 'Order',
+      targetId: savedOrder._id,
+      after: savedOrder
+    });
+    await savedOrder.populate('user', '-password');
+    await savedOrder.populate('products.product');
+
+    res.status(201).json({
+      success: true,
+      data: savedOrder,
+      message: 'Order created successfully'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
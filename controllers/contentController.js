@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ContentRevision = require('../models/ContentRevision');
+const { recordAudit } = require('../utils/audit');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const {
+  CONTENT_TYPES,
+  COLLECTION_PRODUCT_FIELDS,
+  getContentType,
+  buildLiveFilter,
+  recordRevision
+} = require('../utils/content');
+
+const notFound = (res, message = 'Content not found') => res.status(404).json({ success: false, message });
+
+// Write-side checks shared by create, update and rollback. Throws with a statusCode.
+const assertContentIsValid = async (contentType, doc, session) => {
+  if (contentType.fields.includes('slug') && doc.isModified('slug')) {
+    const duplicate = await contentType.model.exists({ slug: doc.slug, _id: { $ne: doc._id } }).session(session);
+    if (duplicate) throw Object.assign(new Error('Slug is already in use'), { statusCode: 409 });
+  }
+  if (doc.startsAt && doc.endsAt && doc.endsAt <= doc.startsAt) {
+    throw Object.assign(new Error('endsAt must be after startsAt.'), { statusCode: 400 });
+  }
+  if (contentType.name === 'Collection' && doc.isModified('products')) {
+    const ids = [...new Set(doc.products.map(String))];
+    const found = await Product.countDocuments({ _id: { $in: ids } }).session(session);
+    if (found !== ids.length) throw Object.assign(new Error('Collection references unknown products'), { statusCode: 400 });
+  }
+};
+
+const publicQuery = (contentType, filter) => {
+  // Page listings omit bodies; read a page by slug for its content.
+  const projection = contentType.name === 'Page' ? 'slug title publishAt updatedAt' : '-version -createdBy -updatedBy';
+  const query = contentType.model.find(filter).sort(contentType.publicSort).select(projection);
+  if (contentType.name === 'Collection') query.populate('products', COLLECTION_PRODUCT_FIELDS);
+  return query;
+};
+
+// Home page blocks: live home banners and live collections, in display order.
+exports.getHomeContent = async (req, res) => {
+  try {
+    const now = new Date();
+    const [banners, collections] = await Promise.all([
+      publicQuery(CONTENT_TYPES.banners, { ...buildLiveFilter(CONTENT_TYPES.banners, now), placement: 'home' }),
+      publicQuery(CONTENT_TYPES.collections, buildLiveFilter(CONTENT_TYPES.collections, now))
+    ]);
+    res.status(200).json({ success: true, data: { banners, collections } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// List live content of one type. Banners can be narrowed with ?placement=.
+exports.getPublishedContent = async (req, res) => {
+  try {
+    const contentType = getContentType(req.params.type);
+    if (!contentType) return notFound(res, 'Unknown content type');
+
+    const filter = buildLiveFilter(contentType);
+    if (contentType.name === 'Banner' && req.query.placement) filter.placement = String(req.query.placement).toLowerCase();
+
+    const items = await publicQuery(contentType, filter);
+    res.status(200).json({ success: true, data: items });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Read one live page or collection by slug.
+exports.getPublishedContentBySlug = async (req, res) => {
+  try {
+    const contentType = getContentType(req.params.type);
+    if (!contentType || !contentType.fields.includes('slug')) return notFound(res);
+
+    const filter = { ...buildLiveFilter(contentType), slug: req.params.slug.toLowerCase() };
+    const query = contentType.model.findOne(filter).select('-version -createdBy -updatedBy');
+    if (contentType.name === 'Collection') query.populate('products', COLLECTION_PRODUCT_FIELDS);
+    const item = await query;
+    if (!item) return notFound(res);
+
+    res.status(200).json({ success: true, data: item });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Editor listing: every item of a type including drafts, newest first.
+exports.getAllContent = async (req, res) => {
+  try {
+    const contentType = getContentType(req.params.type);
+    if (!contentType) return notFound(res, 'Unknown content type');
+
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const pagination = parsePagination(req.query);
+    const [items, total] = await Promise.all([
+      contentType.model.find(filter).sort({ updatedAt: -1 }).skip(pagination.skip).limit(pagination.limit),
+      contentType.model.countDocuments(filter)
+    ]);
+    res.status(200).json({ success: true, data: items, pagination: buildPaginationMeta(pagination, total) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Editor read of one item in any status.
+exports.getContentById = async (req, res) => {
+  try {
+    const contentType = getContentType(req.params.type);
+    if (!contentType) return notFound(res, 'Unknown content type');
+
+    const item = await contentType.model.findById(req.params.id);
+    if (!item) return notFound(res);
+    res.status(200).json({ success: true, data: item });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Create a page, banner or collection as revision 1.
+exports.createContent = async (req, res) => {
+  const contentType = getContentType(req.params.type);
+  if (!contentType) return notFound(res, 'Unknown content type');
+
+  const session = await mongoose.startSession();
+  try {
+    let item;
+    await session.withTransaction(async () => {
+      item = new contentType.model({ createdBy: req.user._id, updatedBy: req.user._id, version: 1 });
+      for (const field of contentType.fields) {
+        if (req.body[field] !== undefined) item.set(field, req.body[field]);
+      }
+      await assertContentIsValid(contentType, item, session);
+      await item.save({ session });
+      await recordRevision(contentType, item, req.user, session);
+    });
+
+    await recordAudit(req, {
+      action: `${contentType.entity}.create`,
+      targetType: contentType.name,
+      targetId: item._id,
+      after: item
+    });
+    res.status(201).json({ success: true, data: item, message: `${contentType.name} created successfully` });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Update an item; every update becomes a new revision.
+exports.updateContent = async (req, res) => {
+  const contentType = getContentType(req.params.type);
+  if (!contentType) return notFound(res, 'Unknown content type');
+
+  const session = await mongoose.startSession();
+  try {
+    let before;
+    let item;
+    await session.withTransaction(async () => {
+      item = await contentType.model.findById(req.params.id).session(session);
+      if (!item) throw Object.assign(new Error(`${contentType.name} not found`), { statusCode: 404 });
+
+      before = item.toObject();
+      for (const field of contentType.fields) {
+        if (req.body[field] !== undefined) item.set(field, req.body[field]);
+      }
+      await assertContentIsValid(contentType, item, session);
+      item.version += 1;
+      item.updatedBy = req.user._id;
+      await item.save({ session });
+      await recordRevision(contentType, item, req.user, session);
+    });
+
+    await recordAudit(req, {
+      action: `${contentType.entity}.update`,
+      targetType: contentType.name,
+      targetId: item._id,
+      before,
+      after: item
+    });
+    res.status(200).json({ success: true, data: item, message: `${contentType.name} updated successfully` });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Delete an item together with its revision history.
+exports.deleteContent = async (req, res) => {
+  try {
+    const contentType = getContentType(req.params.type);
+    if (!contentType) return notFound(res, 'Unknown content type');
+
+    const item = await contentType.model.findByIdAndDelete(req.params.id);
+    if (!item) return notFound(res, `${contentType.name} not found`);
+    await ContentRevision.deleteMany({ contentType: contentType.name, contentId: item._id });
+
+    await recordAudit(req, {
+      action: `${contentType.entity}.delete`,
+      targetType: contentType.name,
+      targetId: item._id,
+      before: item
+    });
+    res.status(200).json({ success: true, message: `${contentType.name} deleted successfully` });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Revision history of one item, newest first.
+exports.getContentRevisions = async (req, res) => {
+  try {
+    const contentType = getContentType(req.params.type);
+    if (!contentType) return notFound(res, 'Unknown content type');
+
+    const revisions = await ContentRevision.find({ contentType: contentType.name, contentId: req.params.id })
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email role');
+    if (revisions.length === 0) return notFound(res, `${contentType.name} not found`);
+
+    res.status(200).json({ success: true, data: revisions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Roll back to an earlier revision.
+// History is never rewritten: the restored state is saved as a new revision.
+exports.rollbackContent = async (req, res) => {
+  const contentType = getContentType(req.params.type);
+  if (!contentType) return notFound(res, 'Unknown content type');
+
+  const session = await mongoose.startSession();
+  try {
+    let before;
+    let item;
+    await session.withTransaction(async () => {
+      item = await contentType.model.findById(req.params.id).session(session);
+      if (!item) throw Object.assign(new Error(`${contentType.name} not found`), { statusCode: 404 });
+
+      const revision = await ContentRevision.findOne({
+        contentType: contentType.name,
+        contentId: item._id,
+        version: req.body.version
+      }).session(session);
+      if (!revision) throw Object.assign(new Error('Revision not found'), { statusCode: 404 });
+
+      before = item.toObject();
+      for (const field of contentType.fields) {
+        item.set(field, revision.snapshot[field] === null ? undefined : revision.snapshot[field]);
+      }
+      await assertContentIsValid(contentType, item, session);
+      item.version += 1;
+      item.updatedBy = req.user._id;
+      await item.save({ session });
+      await recordRevision(contentType, item, req.user, session, revision.version);
+    });
+
+    await recordAudit(req, {
+      action: `${contentType.entity}.rollback`,
+      targetType: contentType.name,
+      targetId: item._id,
+      before,
+      after: item
+    });
+    res.status(200).json({ success: true, data: item, message: `${contentType.name} restored to version ${req.body.version}` });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
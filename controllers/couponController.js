@@ -0,0 +1,94 @@
+const Coupon = require('../models/Coupon');
+
+// Get all coupons, newest first.
+exports.getAllCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.status(200).json({ success: true, data: coupons });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Get one coupon by id.
+exports.getCouponById = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+    res.status(200).json({ success: true, data: coupon });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Create a coupon.
+// Usage counters always start at zero.
+exports.createCoupon = async (req, res) => {
+  try {
+    const existing = await Coupon.findOne({ code: req.body.code.trim().toUpperCase() });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'Coupon code already exists' });
+    }
+
+    const coupon = await Coupon.create({
+      ...req.body,
+      usageCount: 0,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({ success: true, data: coupon, message: 'Coupon created successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Update a coupon.
+// The usage counter is maintained by order placement only.
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    coupon.set(req.body);
+    coupon.updatedBy = req.user._id;
+
+    // Cross-field rules that depend on values already stored on the coupon.
+    if (coupon.type === 'percentage' && coupon.value > 100) {
+      return res.status(400).json({ success: false, message: 'Percentage coupons cannot exceed 100.' });
+    }
+    if (coupon.startsAt && coupon.endsAt && coupon.endsAt <= coupon.startsAt) {
+      return res.status(400).json({ success: false, message: 'endsAt must be after startsAt.' });
+    }
+
+    if (coupon.isModified('code')) {
+      const duplicate = await Coupon.findOne({ code: coupon.code, _id: { $ne: coupon._id } });
+      if (duplicate) {
+        return res.status(409).json({ success: false, message: 'Coupon code already exists' });
+      }
+    }
+
+    const savedCoupon = await coupon.save();
+    res.status(200).json({ success: true, data: savedCoupon, message: 'Coupon updated successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a coupon.
+// Orders keep their own snapshot of the applied discount.
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+    res.status(200).json({ success: true, message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { hasPermission } = require('../utils/rbac');
+const { sameId } = require('../utils/orderAccess');
+const { roundMoney } = require('../utils/coupons');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { isValidFulfillmentTransition, canRoleTransitionFulfillment } = require('../utils/orderStatus');
+const { recordAudit } = require('../utils/audit');
+
+// Get orders containing the vendor's products.
+// Each order only shows the vendor's own lines and fulfilment group.
+exports.getVendorOrders = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    // Orders placed before vendor snapshots existed are matched through product ownership.
+    const ownProductIds = await Product.find({ createdBy: vendorId }).distinct('_id');
+    const filter = {
+      $or: [
+        { 'fulfillments.vendor': vendorId },
+        { 'products.product': { $in: ownProductIds } }
+      ]
+    };
+    if (req.query.status) filter.status = req.query.status;
+
+    const pagination = parsePagination(req.query);
+    const ownProductSet = new Set(ownProductIds.map(String));
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .select('user products fulfillments status shippingAddress createdAt')
+        .populate('user', 'name')
+        .populate('products.product', 'name image')
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Order.countDocuments(filter)
+    ]);
+
+    const data = orders.map((order) => {
+      const items = order.products.filter((line) => (line.vendor
+        ? sameId(line.vendor, vendorId)
+        : ownProductSet.has(String(line.product && line.product._id ? line.product._id : line.product))));
+
+      return {
+        _id: order._id,
+        status: order.status,
+        createdAt: order.createdAt,
+        customer: order.user ? { name: order.user.name } : null,
+        shippingAddress: order.shippingAddress,
+        fulfillment: order.fulfillments.find((group) => sameId(group.vendor, vendorId)) || null,
+        items,
+        vendorSubtotal: roundMoney(items.reduce((sum, line) => sum + line.price * line.quantity, 0))
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: buildPaginationMeta(pagination, total)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Update the status of one vendor fulfilment group.
+// Vendors move their own group from pending to processing to shipped; when every
+// active group has shipped, the order itself moves to shipped.
+exports.updateFulfillmentStatus = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { status, note, trackingNumber } = req.body;
+
+    const existingOrder = await Order.findById(req.params.id);
+    if (!existingOrder) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const group = existingOrder.fulfillments.id(req.params.fulfillmentId);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Fulfilment group not found' });
+    }
+
+    const canManageOrders = hasPermission(req.user, 'manage_orders');
+    if (!canManageOrders && !sameId(group.vendor, req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Access denied: This fulfilment group is not yours.' });
+    }
+
+    // Vendors start preparing only once the order itself is being processed.
+    if (!['processing', 'shipped'].includes(existingOrder.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Fulfilment cannot change while the order is ${existingOrder.status}`
+      });
+    }
+
+    const currentStatus = group.status;
+    if (!isValidFulfillmentTransition(currentStatus, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Invalid fulfilment transition from "${currentStatus}" to "${status}"`
+      });
+    }
+    if (!canRoleTransitionFulfillment(req.user, currentStatus, status)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied: Your role cannot move fulfilment from "${currentStatus}" to "${status}"`
+      });
+    }
+
+    let order = null;
+    await session.withTransaction(async () => {
+      const update = {
+        $set: { 'fulfillments.$.status': status },
+        $push: {
+          'fulfillments.$.history': { from: currentStatus, to: status, changedBy: req.user._id, note }
+        }
+      };
+      if (trackingNumber) update.$set['fulfillments.$.trackingNumber'] = trackingNumber;
+
+      order = await Order.findOneAndUpdate(
+        { _id: existingOrder._id, fulfillments: { $elemMatch: { _id: group._id, status: currentStatus } } },
+        update,
+        { returnDocument: 'after', runValidators: true, session }
+      );
+      if (!order) {
+        throw Object.assign(
+          new Error('Fulfilment status was changed by another request. Please retry.'),
+          { statusCode: 409 }
+        );
+      }
+
+      const activeGroups = order.fulfillments.filter((entry) => entry.status !== 'cancelled');
+      if (order.status === 'processing' && activeGroups.every((entry) => entry.status === 'shipped')) {
+        order = await Order.findOneAndUpdate(
+          { _id: order._id, status: 'processing' },
+          {
+            $set: { status: 'shipped' },
+            $push: {
+              statusHistory: {
+                from: 'processing',
+                to: 'shipped',
+                changedBy: req.user._id,
+                role: req.user.role,
+                note: 'All fulfilment groups shipped'
+              }
+            }
+          },
+          { returnDocument: 'after', session }
+        ) || order;
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'order.fulfillment_update',
+      targetType: 'Order',
+      targetId: existingOrder._id,
+      before: { fulfillment: group._id, status: currentStatus },
+      after: { fulfillment: group._id, status }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: order.fulfillments.id(group._id),
+      orderStatus: order.status,
+      message: `Fulfilment status updated to ${status} successfully`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const StockMovement = require('../models/StockMovement');
+const { hasPermission } = require('../utils/rbac');
+const { recordAudit } = require('../utils/audit');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { moveStock } = require('../utils/inventory');
+const { returnableOrderStatuses, defaultLowStockThreshold } = require('../config/inventoryConfig');
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+const inventoryError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Load the product and check the caller owns it or manages every product.
+const findManagedProduct = async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    res.status(404).json({ success: false, message: 'Product not found' });
+    return null;
+  }
+  const isOwner = product.createdBy.toString() === req.user._id.toString();
+  if (!isOwner && !hasPermission(req.user, 'manage_products')) {
+    res.status(403).json({ success: false, message: 'Access denied: You can only manage stock of products you have created!' });
+    return null;
+  }
+  return product;
+};
+
+// A return must come from a shipped or delivered order containing the product (and variant),
+// and all returns of that order line together cannot exceed the quantity ordered.
+const checkReturn = async ({ order: orderId, product, variant, quantity }, session) => {
+  const order = await Order.findById(orderId).session(session);
+  if (!order) throw inventoryError('Order not found', 404);
+  if (!returnableOrderStatuses.includes(order.status)) {
+    throw inventoryError(`Only ${returnableOrderStatuses.join(' or ')} orders can have returns`, 409);
+  }
+
+  const ordered = order.products
+    .filter((item) => sameId(item.product, product) && sameId(item.variant, variant))
+    .reduce((sum, item) => sum + item.quantity, 0);
+  if (ordered === 0) throw inventoryError('The order does not contain this product', 400);
+
+  const earlierReturns = await StockMovement.find({ type: 'return', order: order._id, product, variant }).session(session);
+  const returned = earlierReturns.reduce((sum, movement) => sum + movement.quantity, 0);
+  if (returned + quantity > ordered) {
+    throw inventoryError(`Only ${ordered - returned} more unit(s) of this line can be returned`, 409);
+  }
+};
+
+// Record a manual stock change: { quantity (signed), reason, variant? } for corrections and stocktakes,
+// or { type: 'return', order, quantity, variant? } for goods a customer sent back.
+// The change and its ledger entry are written in one transaction; stock never goes below zero.
+exports.adjustStock = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { type = 'adjustment', quantity, reason, order } = req.body;
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+
+    const variant = req.body.variant || null;
+    if (variant && !product.variants.id(variant)) {
+      return res.status(404).json({ success: false, message: 'Variant not found' });
+    }
+    if (!variant && product.variants.length > 0) {
+      return res.status(400).json({ success: false, message: 'This product is stocked per variant; variant is required' });
+    }
+
+    let movement;
+    await session.withTransaction(async () => {
+      if (type === 'return') await checkReturn({ order, product: product._id, variant, quantity }, session);
+      movement = await moveStock(
+        { product: product._id, variant },
+        quantity,
+        { type, reason, order: order || null, actor: req.user._id },
+        session
+      );
+      if (!movement) throw inventoryError('Not enough stock for this adjustment', 409);
+    });
+
+    await recordAudit(req, {
+      action: 'product.stock_adjust',
+      targetType: 'Product',
+      targetId: product._id,
+      after: movement
+    });
+    res.status(201).json({ success: true, data: movement, message: 'Stock updated successfully' });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Stock movements of one product, newest first (?type=, ?variant= filters).
+exports.getStockMovements = async (req, res) => {
+  try {
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+
+    const filter = { product: product._id };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.variant) filter.variant = req.query.variant;
+
+    const pagination = parsePagination(req.query);
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: movements,
+      pagination: buildPaginationMeta(pagination, total)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Products below their low-stock threshold: products without variants by their own stock,
+// products with variants by any active variant. Vendors only see their own products.
+exports.getLowStockReport = async (req, res) => {
+  try {
+    const threshold = { $ifNull: ['$lowStockThreshold', defaultLowStockThreshold] };
+    const variants = { $ifNull: ['$variants', []] };
+    const lowVariants = {
+      $filter: {
+        input: variants,
+        cond: { $and: [{ $ne: ['$$this.isActive', false] }, { $lt: ['$$this.stock', threshold] }] }
+      }
+    };
+    const match = {
+      $expr: {
+        $cond: [
+          { $gt: [{ $size: variants }, 0] },
+          { $gt: [{ $size: lowVariants }, 0] },
+          { $lt: ['$stock', threshold] }
+        ]
+      }
+    };
+    if (!hasPermission(req.user, 'manage_products')) match.createdBy = req.user._id;
+
+    const pagination = parsePagination(req.query);
+    const [result] = await Product.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          data: [
+            { $sort: { _id: 1 } },
+            { $skip: pagination.skip },
+            { $limit: pagination.limit },
+            {
+              $project: {
+                name: 1,
+                slug: 1,
+                category: 1,
+                createdBy: 1,
+                stock: 1,
+                lowStockThreshold: threshold,
+                lowVariants: {
+                  $map: {
+                    input: lowVariants,
+                    in: { _id: '$$this._id', sku: '$$this.sku', stock: '$$this.stock' }
+                  }
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: buildPaginationMeta(pagination, total)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,21 +1,54 @@
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const mongoose = require('mongoose');
-const { hasPermission, hasAnyPermission } = require('../utils/rbac');
+const User = require('../models/User');
+const { hasPermission } = require('../utils/rbac');
+const { quoteOrder, placeOrder } = require('../utils/orderPlacement');
+const { isValidTransition, canRoleTransition } = require('../utils/orderStatus');
+const { RESTOCKABLE_STATUSES, restockOrder } = require('../utils/inventory');
+const { recordAudit } = require('../utils/audit');
+const { isOrderPaid } = require('../utils/payments');
+const { paidPaymentStatuses } = require('../config/paymentConfig');
+const { resolveShippingAddress, normalizePostalAddress, formatPostalAddress } = require('../utils/addresses');
+const {
+  sameId,
+  isCourier,
+  getOrderScope,
+  canReadOrder
+} = require('../utils/orderAccess');
+
+// Couriers only see what they need for delivery: no prices, totals or payment data,
+// and customer details limited to name and phone.
+const DELIVERY_FIELDS = 'status shippingAddress products.product products.sku products.attributes products.quantity user assignedTo assignedAt createdAt';
+
+const findOrdersFor = (user, query) => (isCourier(user)
+  ? query.select(DELIVERY_FIELDS).populate('user', 'name phone').populate('products.product', 'name image')
+  : query.populate('user', '-password').populate('products.product'));
+
+const toDeliveryView = (order) => ({
+  _id: order._id,
+  status: order.status,
+  assignedAt: order.assignedAt,
+  createdAt: order.createdAt,
+  recipient: order.user ? { name: order.user.name, phone: order.user.phone } : null,
+  shippingAddress: order.shippingAddress,
+  shippingLabel: formatPostalAddress(order.shippingAddress),
+  items: order.products.map((item) => ({
+    product: item.product,
+    sku: item.sku,
+    attributes: item.attributes,
+    quantity: item.quantity
+  }))
+});
 
 // Get orders list.
-// Admin/root can view all orders. Other users can view only their own orders.
+// Admin/root can view all orders, couriers their assigned orders (delivery view), other users their own orders.
 exports.getAllOrders = async (req, res) => {
   try {
-    const canReadAllOrders = hasAnyPermission(req.user.role, ['read_orders', 'manage_orders']);
-    const filter = canReadAllOrders ? {} : { user: req.user._id };
-    const orders = await Order.find(filter)
-      .populate('user', '-password')
-      .populate('products.product');
+    const orders = await findOrdersFor(req.user, Order.find(getOrderScope(req.user)));
 
     res.status(200).json({
       success: true,
-      data: orders
+      data: isCourier(req.user) ? orders.map(toDeliveryView) : orders
     });
   } catch (error) {
     res.status(500).json({
@@ -26,12 +59,10 @@ exports.getAllOrders = async (req, res) => {
 };
 
 // Get one order by id.
-// Non-admin users are allowed only when they own the order.
+// Non-admin users are allowed only when they own the order (couriers: when it is assigned to them, delivery view).
 exports.getOrderById = async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id)
-      .populate('user', '-password')
-      .populate('products.product');
+    const order = await findOrdersFor(req.user, Order.findById(req.params.id));
 
     if (!order) {
       return res.status(404).json({
@@ -40,8 +71,7 @@ exports.getOrderById = async (req, res) => {
       });
     }
 
-    const canReadAllOrders = hasAnyPermission(req.user.role, ['read_orders', 'manage_orders']);
-    if (!canReadAllOrders && order.user._id.toString() !== req.user._id.toString()) {
+    if (!canReadOrder(req.user, order)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -50,7 +80,7 @@ exports.getOrderById = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: order
+      data: isCourier(req.user) ? toDeliveryView(order) : order
     });
   } catch (error) {
     res.status(500).json({
@@ -60,67 +90,42 @@ exports.getOrderById = async (req, res) => {
   }
 };
 
+// Price a basket without placing it: line subtotals, discount, tax, shipping and grand total.
+// Takes the same body as POST /orders; stock is checked but not reserved.
+exports.quoteOrder = async (req, res) => {
+  try {
+    const { products, couponCode } = req.body;
+    const shippingAddress = await resolveShippingAddress(req.user._id, req.body);
+    const quote = await quoteOrder({ user: req.user._id, products, shippingAddress, couponCode });
+    res.status(200).json({ success: true, data: { ...quote, shippingAddress } });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // Create a new order.
-// Total amount is calculated from current product prices in the database.
+// Totals are calculated from current product prices in the database, less any coupon discount, plus tax and shipping.
+// Ships to `addressId` from the address book, an inline `shippingAddress`, or the default shipping address.
 exports.createOrder = async (req, res) => {
-  const session = await mongoose.startSession();
   try {
-    const { products, shippingAddress } = req.body;
-    const user = req.user._id;
-    let totalAmount = 0;
-    const orderProducts = [];
-    let createdOrderId = null;
-
-    await session.withTransaction(async () => {
-      const requestedQtyByProduct = new Map();
-      for (const item of products) {
-        const key = String(item.product);
-        requestedQtyByProduct.set(key, (requestedQtyByProduct.get(key) || 0) + item.quantity);
-      }
-
-      const productIds = [...requestedQtyByProduct.keys()];
-      const dbProducts = await Product.find({ _id: { $in: productIds } }).session(session);
-      const productMap = new Map(dbProducts.map((product) => [String(product._id), product]));
-
-      for (const [productId, totalRequestedQty] of requestedQtyByProduct.entries()) {
-        const existing = productMap.get(productId);
-        if (!existing) {
-          throw Object.assign(new Error(`Product ${productId} not found`), { statusCode: 404 });
-        }
-
-        const updated = await Product.findOneAndUpdate(
-          { _id: productId, stock: { $gte: totalRequestedQty } },
-          { $inc: { stock: -totalRequestedQty } },
-          { returnDocument: 'before', session }
-        );
-        if (!updated) {
-          throw Object.assign(
-            new Error(`Insufficient stock for product ${productId}`),
-            { statusCode: 409 }
-          );
-        }
-      }
-
-      for (const item of products) {
-        const product = productMap.get(String(item.product));
-        totalAmount += product.price * item.quantity;
-        orderProducts.push({
-          product: product._id,
-          quantity: item.quantity,
-          price: product.price
-        });
-      }
-
-      const [saved] = await Order.create([{
-        user,
-        products: orderProducts,
-        totalAmount,
-        shippingAddress
-      }], { session });
-      createdOrderId = saved._id;
+    const { products, couponCode } = req.body;
+    const shippingAddress = await resolveShippingAddress(req.user._id, req.body);
+    const savedOrder = await placeOrder({
+      user: req.user._id,
+      role: req.user.role,
+      products,
+      shippingAddress,
+      couponCode
+    });
+    await recordAudit(req, {
+      action: 'order.create',
+      targetType: 'Order',
+      targetId: savedOrder._id,
+      after: savedOrder
     });
-
-    const savedOrder = await Order.findById(createdOrderId);
     await savedOrder.populate('user', '-password');
     await savedOrder.populate('products.product');
 
@@ -134,8 +139,6 @@ exports.createOrder = async (req, res) => {
       success: false,
       message: error.message
     });
-  } finally {
-    await session.endSession();
   }
 };
 
@@ -148,20 +151,35 @@ exports.updateOrder = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    if (!hasPermission(req.user.role, 'manage_orders')) {
+    if (!hasPermission(req.user, 'manage_orders')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied: You cannot modify this order'
       });
     }
 
+    // Only the shipping address gets past validateUpdateOrderBody.
+    // Replacement addresses are stored as structured snapshots, like at checkout.
+    const update = {};
+    if (req.body.shippingAddress) update.shippingAddress = normalizePostalAddress(req.body.shippingAddress);
+
     const order = await Order.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { returnDocument: 'after', runValidators: true }
-    )
-      .populate('user', '-password')
-      .populate('products.product');
+    );
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    await recordAudit(req, {
+      action: 'order.update',
+      targetType: 'Order',
+      targetId: existingOrder._id,
+      before: existingOrder,
+      after: order
+    });
+    await order.populate('user', '-password');
+    await order.populate('products.product');
 
     res.status(200).json({ success: true, data: order, message: 'Order updated successfully' });
   } catch (error) {
@@ -171,7 +189,9 @@ exports.updateOrder = async (req, res) => {
 
 // Delete an order.
 // Admin/root can delete any order; other users can delete only their own order.
+// Stock of orders that have not shipped yet is returned in the same transaction.
 exports.deleteOrder = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     const existingOrder = await Order.findById(req.params.id);
     if (!existingOrder) {
@@ -181,7 +201,7 @@ exports.deleteOrder = async (req, res) => {
       });
     }
 
-    const canManageOrders = hasPermission(req.user.role, 'manage_orders');
+    const canManageOrders = hasPermission(req.user, 'manage_orders');
     if (!canManageOrders && existingOrder.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
@@ -189,7 +209,17 @@ exports.deleteOrder = async (req, res) => {
       });
     }
 
-    const order = await Order.findByIdAndDelete(req.params.id);
+    // Restock while the order still exists: restockOrder flags it with restockedAt before returning stock.
+    let order = null;
+    await session.withTransaction(async () => {
+      order = await Order.findById(req.params.id).session(session);
+      if (!order) return;
+      if (RESTOCKABLE_STATUSES.includes(order.status)) {
+        await restockOrder(order, session, { actor: req.user._id, reason: 'Order deleted' });
+      }
+      await Order.deleteOne({ _id: order._id }, { session });
+    });
+
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -197,6 +227,13 @@ exports.deleteOrder = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'order.delete',
+      targetType: 'Order',
+      targetId: order._id,
+      before: order
+    });
+
     res.status(200).json({
       success: true,
       message: 'Order deleted successfully'
@@ -206,43 +243,234 @@ exports.deleteOrder = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
 // Update only order status.
-// This endpoint protects other fields from accidental updates.
+// Transitions follow the declared state machine and the caller's per-role allowances.
 exports.updateOrderStatus = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+    const { status, note } = req.body;
+
+    const existingOrder = await Order.findById(req.params.id);
+    if (!existingOrder) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, message: 'Invalid status value' });
+    // Couriers may only update orders assigned to them.
+    if (isCourier(req.user) && !sameId(existingOrder.assignedTo, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: This order is not assigned to you.'
+      });
     }
 
-    // Delivery users can mark only "delivered".
-    if (req.user.role === 'delivery' && status !== 'delivered') {
+    const currentStatus = existingOrder.status;
+
+    // Repeated cancellation is a no-op so stock is never returned twice.
+    if (currentStatus === 'cancelled' && status === 'cancelled') {
+      return res.status(200).json({
+        success: true,
+        data: existingOrder,
+        message: 'Order is already cancelled'
+      });
+    }
+
+    if (!isValidTransition(currentStatus, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Invalid status transition from "${currentStatus}" to "${status}"`
+      });
+    }
+
+    if (!canRoleTransition(req.user, currentStatus, status)) {
       return res.status(403).json({
         success: false,
-        message: 'Delivery staff can only mark orders as "delivered"!'
+        message: `Access denied: Your role cannot move orders from "${currentStatus}" to "${status}"`
+      });
+    }
+
+    // Unpaid orders are never prepared for shipping.
+    if (status === 'processing' && !isOrderPaid(existingOrder)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order cannot move to processing until it is paid'
+      });
+    }
+
+    // Cancelling a paid order leaves the money owed to the customer: the payment becomes refund_pending
+    // until the provider reports the refund (payment.refunded webhook).
+    const refundDue = status === 'cancelled' && isOrderPaid(existingOrder);
+
+    // Match on the current status so concurrent updates cannot skip a transition.
+    // Cancellation returns the stock in the same transaction.
+    let order = null;
+    await session.withTransaction(async () => {
+      // The payment must still be in the state the checks above saw.
+      const paidFilter = { $in: paidPaymentStatuses };
+      const unpaidFilter = { $nin: paidPaymentStatuses };
+      const paymentFilter = status === 'processing' || refundDue ? paidFilter : unpaidFilter;
+      order = await Order.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          status: currentStatus,
+          ...(['processing', 'cancelled'].includes(status) ? { 'payment.status': paymentFilter } : {})
+        },
+        {
+          $set: { status, ...(refundDue ? { 'payment.status': 'refund_pending' } : {}) },
+          $push: {
+            statusHistory: {
+              from: currentStatus,
+              to: status,
+              changedBy: req.user._id,
+              role: req.user.role,
+              note,
+              ...(refundDue ? { paymentStatus: 'refund_pending' } : {})
+            }
+          }
+        },
+        { returnDocument: 'after', runValidators: true, session }
+      );
+      if (!order) {
+        throw Object.assign(
+          new Error('Order status was changed by another request. Please retry.'),
+          { statusCode: 409 }
+        );
+      }
+
+      if (status === 'cancelled') {
+        await restockOrder(order, session, { actor: req.user._id, reason: note });
+      }
+
+      // Vendor fulfilment groups follow the order when it is cancelled or delivered.
+      if (['cancelled', 'delivered'].includes(status)) {
+        await Order.updateOne(
+          { _id: order._id },
+          { $set: { 'fulfillments.$[group].status': status } },
+          { arrayFilters: [{ 'group.status': { $nin: ['cancelled', 'delivered'] } }], session }
+        );
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'order.status_update',
+      targetType: 'Order',
+      targetId: order._id,
+      before: { status: currentStatus },
+      after: { status, ...(refundDue ? { paymentStatus: 'refund_pending' } : {}) }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: order,
+      message: `Order status updated to ${status} successfully`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Get status history of one order.
+// Same visibility rules as reading the order itself.
+exports.getOrderHistory = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('user assignedTo status statusHistory')
+      .populate('statusHistory.changedBy', 'name role');
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (!canReadOrder(req.user, order)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        order: order._id,
+        status: order.status,
+        history: order.statusHistory
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Assign or unassign a courier.
+// Only orders that are still in progress can be (re)assigned.
+exports.assignCourier = async (req, res) => {
+  try {
+    const { courier } = req.body;
+
+    const existingOrder = await Order.findById(req.params.id);
+    if (!existingOrder) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (['delivered', 'cancelled'].includes(existingOrder.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change the courier of a ${existingOrder.status} order`
       });
     }
 
+    if (courier) {
+      const courierUser = await User.findById(courier).select('-password');
+      if (!courierUser) {
+        return res.status(404).json({ success: false, message: 'Courier not found' });
+      }
+      if (!isCourier(courierUser)) {
+        return res.status(400).json({ success: false, message: 'Assigned user must be delivery staff' });
+      }
+    }
+
     const order = await Order.findByIdAndUpdate(
       req.params.id,
-      { status },
+      { assignedTo: courier || null, assignedAt: courier ? new Date() : null },
       { returnDocument: 'after', runValidators: true }
     );
-    if (!order) {
-      return res.status(404).json({ success: false, message: 'Order not found' });
-    }
+
+    await recordAudit(req, {
+      action: courier ? 'order.assign' : 'order.unassign',
+      targetType: 'Order',
+      targetId: order._id,
+      before: { assignedTo: existingOrder.assignedTo || null },
+      after: { assignedTo: order.assignedTo }
+    });
 
     res.status(200).json({
       success: true,
       data: order,
-      message: `Order status updated to ${status} successfully`
+      message: courier ? 'Courier assigned successfully' : 'Courier unassigned successfully'
     });
   } catch (error) {
     res.status(400).json({ success: false, message: error.message });
   }
 };
+
+// Delivery view of the caller's assigned orders.
+// Exposes only what is needed to deliver: address, line items and the recipient's name/phone.
+exports.getMyDeliveries = async (req, res) => {
+  try {
+    const filter = { assignedTo: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const orders = await Order.find(filter)
+      .select(DELIVERY_FIELDS)
+      .populate('user', 'name phone')
+      .populate('products.product', 'name image')
+      .sort({ assignedAt: -1 });
+
+    res.status(200).json({ success: true, data: orders.map(toDeliveryView) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,112 @@
+const Order = require('../models/Order');
+const { currency } = require('../config/paymentConfig');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { applyPaymentEvent } = require('../utils/payments');
+const { recordAudit } = require('../utils/audit');
+const { sameId } = require('../utils/orderAccess');
+
+// Verify a provider callback and apply it to its order.
+const processWebhook = async (req, { rawBody, headers }) => {
+  const provider = getPaymentProvider();
+  const event = provider.parseWebhook({ rawBody, headers });
+  const result = await applyPaymentEvent(provider.name, event);
+
+  if (result.applied && !result.duplicate) {
+    await recordAudit(req, {
+      action: 'order.payment_update',
+      targetType: 'Order',
+      targetId: result.order._id,
+      before: { paymentStatus: result.previousStatus },
+      after: { paymentStatus: result.order.payment.status, event: event.id },
+      actor: null
+    });
+  }
+  return { received: true, duplicate: result.duplicate, applied: result.applied };
+};
+
+// Start paying for one of the caller's pending orders.
+// An open intent is cancelled and replaced so only one intent per order can be paid.
+exports.createPaymentIntent = async (req, res) => {
+  try {
+    const order = await Order.findById(req.body.order);
+    if (!order || !sameId(order.user, req.user._id)) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (order.status !== 'pending') {
+      return res.status(409).json({ success: false, message: 'Only pending orders can be paid' });
+    }
+    if (!['pending', 'failed'].includes(order.payment.status)) {
+      return res.status(409).json({ success: false, message: `Order payment is already ${order.payment.status}` });
+    }
+
+    const provider = getPaymentProvider();
+    if (order.payment.status === 'pending' && order.payment.reference && order.payment.provider === provider.name) {
+      await provider.cancelIntent(order.payment.reference);
+    }
+
+    const intent = await provider.createIntent({ orderId: order._id, amount: order.totalAmount, currency });
+    order.payment = {
+      status: 'pending',
+      provider: provider.name,
+      reference: intent.reference,
+      amount: order.totalAmount,
+      currency
+    };
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        order: order._id,
+        provider: provider.name,
+        reference: intent.reference,
+        clientSecret: intent.clientSecret,
+        amount: order.totalAmount,
+        currency
+      },
+      message: 'Payment intent created successfully'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// Provider callback. Unauthenticated; trusted only through its HMAC signature.
+// Redelivered events answer 200 without being applied again.
+exports.handleWebhook = async (req, res) => {
+  try {
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const data = await processWebhook(req, { rawBody, headers: req.headers });
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Development only (route mounted with PAYMENT_MOCK_EVENTS=true, `manage_orders`): have the mock provider
+// send a signed event for an intent, as if the customer completed (or failed) the payment.
+exports.sendMockPaymentEvent = async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (provider.name !== 'mock' || process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ success: false, message: 'Mock payments are disabled' });
+    }
+
+    const order = await Order.findOne({ 'payment.provider': provider.name, 'payment.reference': req.params.reference });
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const { type, failureReason } = req.body;
+    const webhook = provider.buildWebhook({
+      type,
+      reference: req.params.reference,
+      amount: order.payment.amount,
+      failureReason
+    });
+    const data = await processWebhook(req, webhook);
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
@@ -1,13 +1,82 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const SlugRedirect = require('../models/SlugRedirect');
 const { hasPermission } = require('../utils/rbac');
+const { recordAudit } = require('../utils/audit');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { PRICE_BUCKETS, buildProductFilter, buildProductSort } = require('../utils/productQuery');
+const { getProductUrl, buildSitemap } = require('../utils/sitemap');
+const { isSlugTaken } = require('../utils/slugs');
+const { removeMedia } = require('../utils/mediaStorage');
+const { recordStockChanges } = require('../utils/inventory');
+const { getCreateProductBodyError } = require('../utils/productRules');
+const {
+  MAX_IMPORT_PRODUCTS,
+  IMPORT_FIELDS,
+  csvToEntries,
+  jsonToEntries,
+  productToCsvRows,
+  csvHeader
+} = require('../utils/productImport');
 
-// Get all products.
+// Sitemaps are capped at 50,000 URLs by the sitemaps.org protocol.
+const SITEMAP_MAX_URLS = 50000;
+
+const SEO_FIELDS = ['metaTitle', 'metaDescription', 'canonicalUrl', 'keywords'];
+
+// Get products list.
+// Supports filtering, full-text search, sorting, page/limit pagination and facet counts.
 exports.getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find();
+    const filter = buildProductFilter(req.query);
+    const sort = buildProductSort(req.query);
+    const pagination = parsePagination(req.query);
+
+    const [result] = await Product.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          data: [
+            { $sort: sort },
+            { $skip: pagination.skip },
+            { $limit: pagination.limit }
+          ],
+          total: [{ $count: 'count' }],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $project: { _id: 0, category: '$_id', count: 1 } }
+          ],
+          priceRanges: [
+            {
+              $bucket: {
+                groupBy: '$price',
+                boundaries: PRICE_BUCKETS,
+                default: 'other',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+    const lastBoundary = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+    const priceRanges = result.priceRanges.map((bucket) => {
+      if (bucket._id === 'other') return { min: lastBoundary, max: null, count: bucket.count };
+      const index = PRICE_BUCKETS.indexOf(bucket._id);
+      return { min: bucket._id, max: PRICE_BUCKETS[index + 1], count: bucket.count };
+    });
+
     res.status(200).json({
       success: true,
-      data: products
+      data: result.data,
+      pagination: buildPaginationMeta(pagination, total),
+      facets: {
+        categories: result.categories,
+        priceRanges
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -39,17 +108,71 @@ exports.getProductById = async (req, res) => {
   }
 };
 
+// Get one product by its URL slug.
+// Retired slugs answer with a permanent redirect to the product's current slug.
+exports.getProductBySlug = async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const product = await Product.findOne({ slug });
+    if (product) {
+      return res.status(200).json({ success: true, data: product });
+    }
+
+    const redirect = await SlugRedirect.findOne({ fromSlug: slug });
+    const target = redirect && await Product.findById(redirect.product).select('slug');
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(target.slug)}`);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// XML sitemap of every product page.
+exports.getSitemap = async (req, res) => {
+  try {
+    const products = await Product.find({ slug: { $type: 'string' } })
+      .select('slug seo.canonicalUrl updatedAt')
+      .sort({ _id: 1 })
+      .limit(SITEMAP_MAX_URLS)
+      .lean();
+    const xml = buildSitemap(products.map((product) => ({
+      loc: getProductUrl(product),
+      lastmod: product.updatedAt
+    })));
+    res.type('application/xml').status(200).send(xml);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 // Create a product.
 // We store both createdBy and updatedBy for audit history.
+// Images are uploaded separately through /products/:id/images.
+// Opening stock is recorded as an adjustment in the inventory ledger.
 exports.createProduct = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
+    const { images, ...body } = req.body;
     const payload = {
-      ...req.body,
+      ...body,
+      ratingAverage: 0,
+      ratingCount: 0,
       createdBy: req.user._id,
       updatedBy: req.user._id
     };
-    const product = new Product(payload);
-    const savedProduct = await product.save();
+    let savedProduct;
+    await session.withTransaction(async () => {
+      savedProduct = await new Product(payload).save({ session });
+      await recordStockChanges(null, savedProduct, { type: 'adjustment', reason: 'Initial stock', actor: req.user._id }, session);
+    });
+    await recordAudit(req, {
+      action: 'product.create',
+      targetType: 'Product',
+      targetId: savedProduct._id,
+      after: savedProduct
+    });
     res.status(201).json({
       success: true,
       data: savedProduct,
@@ -60,6 +183,8 @@ exports.createProduct = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -73,21 +198,60 @@ exports.updateProduct = async (req, res) => {
 
     // Authorization check: owner OR elevated role.
     const isOwner = product.createdBy.toString() === req.user._id.toString();
-    const hasSuperPower = hasPermission(req.user.role, 'manage_products');
+    const hasSuperPower = hasPermission(req.user, 'manage_products');
 
     if (!isOwner && !hasSuperPower) {
       return res.status(403).json({ success: false, message: 'Access denied: You can only edit products you have created!' });
     }
 
-    // Prevent changing original owner through update payload.
+    // Prevent changing original owner or review aggregates through update payload.
+    // Slug and SEO changes go through the SEO route so redirects stay consistent, images through the images routes.
     if (req.body.createdBy) delete req.body.createdBy;
+    delete req.body.ratingAverage;
+    delete req.body.ratingCount;
+    delete req.body.slug;
+    delete req.body.seo;
+    delete req.body.images;
+    // Stock only changes through the inventory ledger: variants keep their id and stock, matched by SKU.
+    // The copied stock must still be current, so the write only applies to the product as it was read.
+    const filter = { _id: req.params.id };
+    if (req.body.variants) {
+      // A variant left out of the list is deleted; one still holding stock would take it out of the ledger unrecorded.
+      const keptSkus = new Set(req.body.variants.map((variant) => variant.sku.trim().toUpperCase()));
+      const stockedSkus = product.variants
+        .filter((variant) => !keptSkus.has(variant.sku) && variant.stock > 0)
+        .map((variant) => variant.sku);
+      if (stockedSkus.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Variants still holding stock cannot be removed: ${stockedSkus.join(', ')}. Zero their stock with POST /products/:id/stock first.`
+        });
+      }
+      filter.updatedAt = product.updatedAt;
+      req.body.variants = req.body.variants.map((variant) => {
+        const existing = product.variants.find((entry) => entry.sku === variant.sku.trim().toUpperCase());
+        return existing
+          ? { ...variant, _id: existing._id, stock: existing.stock }
+          : { ...variant, stock: 0 };
+      });
+    }
     req.body.updatedBy = req.user._id;
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
+    const updatedProduct = await Product.findOneAndUpdate(
+      filter,
       req.body,
       { returnDocument: 'after', runValidators: true }
     );
+    if (!updatedProduct) {
+      return res.status(409).json({ success: false, message: 'Product was changed by another request. Please retry.' });
+    }
+    await recordAudit(req, {
+      action: 'product.update',
+      targetType: 'Product',
+      targetId: product._id,
+      before: product,
+      after: updatedProduct
+    });
     res.status(200).json({ success: true, data: updatedProduct, message: 'Product updated successfully' });
   } catch (error) {
     res.status(400).json({ success: false, message: error.message });
@@ -96,22 +260,313 @@ exports.updateProduct = async (req, res) => {
 
 // Delete a product.
 // Owner can delete their product. Elevated roles can delete any product.
+// Stock only leaves through the inventory ledger, so a product still holding stock cannot be deleted.
 exports.deleteProduct = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
 
     // Authorization check: owner OR elevated role.
     const isOwner = product.createdBy.toString() === req.user._id.toString();
-    const hasSuperPower = hasPermission(req.user.role, 'manage_products');
+    const hasSuperPower = hasPermission(req.user, 'manage_products');
 
     if (!isOwner && !hasSuperPower) {
       return res.status(403).json({ success: false, message: 'Access denied: You cannot delete products from other vendors!' });
     }
 
-    await Product.findByIdAndDelete(req.params.id);
+    if (product.stock > 0 || product.variants.some((variant) => variant.stock > 0)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Product still holds stock. Zero its stock with POST /products/:id/stock before deleting it.'
+      });
+    }
+
+    // The delete only applies while the product is still out of stock; its slug redirects go with it.
+    await session.withTransaction(async () => {
+      const deleted = await Product.deleteOne(
+        { _id: product._id, stock: { $not: { $gt: 0 } }, 'variants.stock': { $not: { $gt: 0 } } },
+        { session }
+      );
+      if (deleted.deletedCount === 0) {
+        throw Object.assign(new Error('Product was changed by another request. Please retry.'), { statusCode: 409 });
+      }
+      await SlugRedirect.deleteMany({ product: product._id }, { session });
+    });
+    await removeMedia(product.images.map((image) => image.key));
+    await recordAudit(req, {
+      action: 'product.delete',
+      targetType: 'Product',
+      targetId: product._id,
+      before: product
+    });
     res.status(200).json({ success: true, message: 'Product deleted successfully' });
   } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Update a product's slug and SEO metadata.
+// Open to SEO roles and product managers, and to vendors for their own products; price and stock are untouchable here.
+// A slug change leaves a redirect behind so old links keep resolving.
+exports.updateProductSeo = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let before;
+    let savedProduct;
+    await session.withTransaction(async () => {
+      const product = await Product.findById(req.params.id).session(session);
+      if (!product) throw Object.assign(new Error('Product not found'), { statusCode: 404 });
+
+      const isOwner = product.createdBy.toString() === req.user._id.toString();
+      const canEditAny = hasPermission(req.user, 'update_seo') || hasPermission(req.user, 'manage_products');
+      if (!canEditAny && !isOwner) {
+        throw Object.assign(new Error('Access denied: You can only edit SEO of products you have created!'), { statusCode: 403 });
+      }
+
+      before = product.toObject();
+      for (const field of SEO_FIELDS) {
+        if (req.body[field] !== undefined) product.set(`seo.${field}`, req.body[field]);
+      }
+
+      const oldSlug = product.slug;
+      const newSlug = req.body.slug;
+      if (newSlug !== undefined && newSlug !== oldSlug) {
+        // Reclaiming one of this product's own retired slugs drops its redirect.
+        await SlugRedirect.deleteOne({ fromSlug: newSlug, product: product._id }).session(session);
+        if (await isSlugTaken(Product, newSlug, product._id, session)) {
+          throw Object.assign(new Error('Slug is already in use'), { statusCode: 409 });
+        }
+        product.slug = newSlug;
+      }
+      product.updatedBy = req.user._id;
+      savedProduct = await product.save({ session });
+
+      if (oldSlug && savedProduct.slug !== oldSlug) {
+        await SlugRedirect.create([{ fromSlug: oldSlug, product: product._id, createdBy: req.user._id }], { session });
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'product.seo_update',
+      targetType: 'Product',
+      targetId: savedProduct._id,
+      before,
+      after: savedProduct
+    });
+    res.status(200).json({ success: true, data: savedProduct, message: 'Product SEO updated successfully' });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Find the product an import entry updates: the product holding one of its SKUs, else the one with its name.
+// SKUs are unique across the whole catalog, so they are looked up outside the caller's scope: an SKU held by
+// a product the caller cannot manage (another vendor's) is an error, not a new product.
+// Returns { product }, or { error } when the match is ambiguous or not the caller's.
+const findImportTarget = async (body, scope, session = null) => {
+  const skus = (body.variants || []).map((variant) => String(variant.sku).trim().toUpperCase());
+  if (skus.length > 0) {
+    const bySku = await Product.find({ 'variants.sku': { $in: skus } }).limit(2).session(session);
+    const foreign = bySku.find((product) => scope.createdBy && !product.createdBy.equals(scope.createdBy));
+    if (foreign) {
+      const taken = skus.filter((sku) => foreign.variants.some((variant) => variant.sku === sku));
+      return { error: `SKU ${taken.join(', ')} already belongs to another vendor's product` };
+    }
+    if (bySku.length > 1) return { error: 'SKUs belong to more than one existing product' };
+    if (bySku.length === 1) return { product: bySku[0] };
+  }
+
+  const byName = await Product.find({ ...scope, name: body.name.trim() }).limit(2).session(session);
+  if (byName.length > 1) return { error: `More than one existing product is named "${body.name.trim()}"; add a SKU` };
+  return { product: byName[0] || null };
+};
+
+// Copy import fields onto an existing product. Variants are merged by SKU so existing variant ids
+// (referenced by carts and orders) survive; variants missing from the file are kept as they are.
+const applyImportEntry = (product, body, user) => {
+  for (const field of IMPORT_FIELDS) {
+    if (field !== 'variants' && body[field] !== undefined) product.set(field, body[field]);
+  }
+  for (const variant of body.variants || []) {
+    const sku = String(variant.sku).trim().toUpperCase();
+    const existing = product.variants.find((entry) => entry.sku === sku);
+    if (existing) existing.set({ ...variant, sku });
+    else product.variants.push({ ...variant, sku });
+  }
+  product.updatedBy = user._id;
+};
+
+// Bulk create or update products from a CSV (Content-Type: text/csv) or JSON upload.
+// Every product is checked with the POST /products rules first; with ?dryRun=true only the report is returned.
+// Otherwise the import is all or nothing: any invalid product rejects the file, valid files are written in one transaction.
+// Stock set by the file is recorded as import movements in the inventory ledger.
+exports.importProducts = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const entries = typeof req.body === 'string' ? csvToEntries(req.body) : jsonToEntries(req.body);
+    if (entries.length === 0) {
+      return res.status(400).json({ success: false, message: 'Import file has no products.' });
+    }
+    if (entries.length > MAX_IMPORT_PRODUCTS) {
+      return res.status(400).json({ success: false, message: `Import at most ${MAX_IMPORT_PRODUCTS} products per file.` });
+    }
+
+    const scope = hasPermission(req.user, 'manage_products') ? {} : { createdBy: req.user._id };
+    const seenNames = new Set();
+    const seenSkus = new Set();
+    const report = [];
+
+    for (const entry of entries) {
+      const result = { rows: entry.rows, name: entry.body.name };
+      report.push(result);
+
+      let error = getCreateProductBodyError(entry.body);
+      if (!error) {
+        const candidate = new Product({ ...entry.body, createdBy: req.user._id });
+        const invalid = candidate.validateSync();
+        if (invalid) error = Object.values(invalid.errors)[0].message;
+      }
+      if (!error) {
+        const name = entry.body.name.trim().toLowerCase();
+        const skus = (entry.body.variants || []).map((variant) => variant.sku.trim().toUpperCase());
+        if (seenNames.has(name)) error = 'Product appears more than once in the file';
+        else if (skus.some((sku) => seenSkus.has(sku))) error = 'SKU appears in more than one product in the file';
+        seenNames.add(name);
+        skus.forEach((sku) => seenSkus.add(sku));
+      }
+      if (!error) {
+        const target = await findImportTarget(entry.body, scope);
+        if (target.error) error = target.error;
+        else {
+          result.action = target.product ? 'update' : 'create';
+          result.product = target.product ? target.product._id : null;
+        }
+      }
+      if (error) {
+        result.action = 'error';
+        result.error = error;
+      }
+    }
+
+    const count = (action) => report.filter((result) => result.action === action).length;
+    const summary = { total: report.length, create: count('create'), update: count('update'), error: count('error') };
+    const dryRun = req.query.dryRun === 'true';
+
+    if (dryRun || summary.error > 0) {
+      return res.status(dryRun ? 200 : 422).json({
+        success: dryRun,
+        dryRun,
+        summary,
+        data: report,
+        message: summary.error > 0 ? 'Import has errors; nothing was imported' : 'Dry run: nothing was imported'
+      });
+    }
+
+    // Targets are resolved again inside the transaction, so the write acts on the catalog as it is now.
+    const changes = [];
+    await session.withTransaction(async () => {
+      changes.length = 0;
+      for (const [index, entry] of entries.entries()) {
+        const result = report[index];
+        const target = await findImportTarget(entry.body, scope, session);
+        if (target.error) {
+          throw Object.assign(new Error(`Rows ${entry.rows.join(', ')}: ${target.error}`), { statusCode: 409 });
+        }
+        result.action = target.product ? 'update' : 'create';
+        if (result.action === 'create') {
+          const product = new Product({
+            ...entry.body,
+            ratingAverage: 0,
+            ratingCount: 0,
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+          });
+          await product.save({ session });
+          await recordStockChanges(null, product, { type: 'import', actor: req.user._id }, session);
+          result.product = product._id;
+          changes.push({ action: 'product.create', before: null, after: product });
+        } else {
+          const { product } = target;
+          result.product = product._id;
+          const before = product.toObject();
+          applyImportEntry(product, entry.body, req.user);
+          await product.save({ session });
+          await recordStockChanges(before, product, { type: 'import', actor: req.user._id }, session);
+          changes.push({ action: 'product.update', before, after: product });
+        }
+      }
+    });
+
+    summary.create = count('create');
+    summary.update = count('update');
+
+    for (const change of changes) {
+      await recordAudit(req, {
+        action: change.action,
+        targetType: 'Product',
+        targetId: change.after._id,
+        before: change.before,
+        after: change.after
+      });
+    }
+    res.status(200).json({ success: true, dryRun, summary, data: report, message: 'Products imported successfully' });
+  } catch (error) {
+    // Another request took one of the file's SKUs after the transaction looked them up.
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'An SKU in the file was just taken by another product; nothing was imported. Please retry.' });
+    }
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Stream the catalog as CSV or JSON (?format=csv|json), filtered like GET /products.
+// Vendors export their own products; product managers and catalogue readers export every product.
+exports.exportProducts = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const filter = buildProductFilter(req.query);
+    const canReadAll = hasPermission(req.user, 'manage_products') || hasPermission(req.user, 'read_products');
+    if (!canReadAll) filter.createdBy = req.user._id;
+
+    const cursor = Product.find(filter).sort({ _id: 1 }).lean().cursor();
+    // Respect backpressure; a closed connection also releases the wait.
+    const write = async (chunk) => {
+      if (res.write(chunk)) return;
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    };
+
+    res.status(200);
+    res.attachment(`products.${format}`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/json');
+
+    let first = true;
+    await write(format === 'csv' ? csvHeader() : '[');
+    for await (const product of cursor) {
+      if (res.destroyed) break;
+      if (format === 'csv') await write(productToCsvRows(product));
+      else await write(`${first ? '' : ','}\n${JSON.stringify(product)}`);
+      first = false;
+    }
+    if (format === 'json') await write('\n]\n');
+    res.end();
+  } catch (error) {
+    // Once streaming has started the status is sent; cut the response short so the client sees a failed download.
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -0,0 +1,143 @@
+const Product = require('../models/Product');
+const { hasPermission } = require('../utils/rbac');
+const { recordAudit } = require('../utils/audit');
+const { createMediaKey, getMediaStorage, removeMedia } = require('../utils/mediaStorage');
+const { maxImagesPerProduct } = require('../config/mediaConfig');
+
+// Load the product and check the caller owns it or manages every product.
+const findEditableProduct = async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    res.status(404).json({ success: false, message: 'Product not found' });
+    return null;
+  }
+  const isOwner = product.createdBy.toString() === req.user._id.toString();
+  if (!isOwner && !hasPermission(req.user, 'manage_products')) {
+    res.status(403).json({ success: false, message: 'Access denied: You can only change images of products you have created!' });
+    return null;
+  }
+  return product;
+};
+
+const findImage = (product, res, imageId) => {
+  const image = product.images.id(imageId);
+  if (!image) res.status(404).json({ success: false, message: 'Image not found' });
+  return image;
+};
+
+// Upload images to a product. The first image of a product becomes its primary image.
+// Stored files are removed again when the product cannot be saved.
+exports.uploadProductImages = async (req, res) => {
+  const storedKeys = [];
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+
+    if (product.images.length + req.files.length > maxImagesPerProduct) {
+      return res.status(409).json({
+        success: false,
+        message: `A product can have at most ${maxImagesPerProduct} images`
+      });
+    }
+
+    const storage = getMediaStorage();
+    for (const [index, file] of req.files.entries()) {
+      const key = createMediaKey(`products/${product._id}`, file.detectedType);
+      await storage.save({ key, buffer: file.buffer, contentType: file.detectedType });
+      storedKeys.push(key);
+      product.images.push({
+        key,
+        url: storage.getUrl(key),
+        alt: req.imageAlts[index] || '',
+        mimeType: file.detectedType,
+        size: file.size
+      });
+    }
+    product.syncPrimaryImage();
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    await recordAudit(req, {
+      action: 'product.images_upload',
+      targetType: 'Product',
+      targetId: product._id,
+      after: { images: storedKeys }
+    });
+    res.status(201).json({ success: true, data: product.images, message: 'Images uploaded successfully' });
+  } catch (error) {
+    await removeMedia(storedKeys);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Change an image's alt text or make it the primary image.
+exports.updateProductImage = async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+    const image = findImage(product, res, req.params.imageId);
+    if (!image) return;
+
+    if (req.body.alt !== undefined) image.alt = req.body.alt;
+    if (req.body.isPrimary === true) {
+      for (const other of product.images) other.isPrimary = other === image;
+    }
+    product.syncPrimaryImage();
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    res.status(200).json({ success: true, data: product.images, message: 'Image updated successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Reorder images with { order: [imageId, ...] } listing every image once.
+exports.reorderProductImages = async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+
+    const { order } = req.body;
+    const current = product.images.map((image) => String(image._id));
+    if (order.length !== current.length || !current.every((id) => order.includes(id))) {
+      return res.status(400).json({ success: false, message: 'order must list every image of the product exactly once' });
+    }
+
+    product.images = order.map((id) => product.images.id(id).toObject());
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    res.status(200).json({ success: true, data: product.images, message: 'Images reordered successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Delete an image and its file. The next image takes over as primary.
+exports.deleteProductImage = async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+    const image = findImage(product, res, req.params.imageId);
+    if (!image) return;
+
+    const { key, url } = image;
+    product.images.pull(image._id);
+    if (product.images.length > 0) product.syncPrimaryImage();
+    else if (product.image === url) product.image = undefined;
+    product.updatedBy = req.user._id;
+    await product.save();
+    await removeMedia([key]);
+
+    await recordAudit(req, {
+      action: 'product.image_delete',
+      targetType: 'Product',
+      targetId: product._id,
+      before: { images: [key] }
+    });
+    res.status(200).json({ success: true, data: product.images, message: 'Image deleted successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,143 @@
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const { hasPermission } = require('../utils/rbac');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { isVerifiedBuyer, refreshProductRating } = require('../utils/reviews');
+
+const REVIEW_SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 }
+};
+
+// Get visible reviews of a product.
+exports.getProductReviews = async (req, res) => {
+  try {
+    const filter = { product: req.params.id, isHidden: false };
+    const pagination = parsePagination(req.query);
+    const sort = REVIEW_SORT_OPTIONS[req.query.sort] || REVIEW_SORT_OPTIONS.newest;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select('-moderationNote -moderatedBy')
+        .populate('user', 'name')
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Review.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: reviews,
+      pagination: buildPaginationMeta(pagination, total)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Create a review.
+// Only verified buyers (a delivered order containing the product) may review, once per product.
+exports.createReview = async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    if (!(await isVerifiedBuyer(req.user._id, productId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only customers who received this product can review it.'
+      });
+    }
+
+    const existing = await Review.findOne({ product: productId, user: req.user._id });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'You have already reviewed this product' });
+    }
+
+    const { rating, title, body } = req.body;
+    const review = await Review.create({ product: productId, user: req.user._id, rating, title, body });
+    await refreshProductRating(productId);
+
+    res.status(201).json({ success: true, data: review, message: 'Review created successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Update own review.
+exports.updateReview = async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Access denied: You can only edit your own review.' });
+    }
+
+    for (const field of ['rating', 'title', 'body']) {
+      if (field in req.body) review[field] = req.body[field];
+    }
+    const savedReview = await review.save();
+    await refreshProductRating(review.product);
+
+    res.status(200).json({ success: true, data: savedReview, message: 'Review updated successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a review.
+// Authors can delete their own review; moderators can delete any review.
+exports.deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    const isAuthor = review.user.toString() === req.user._id.toString();
+    if (!isAuthor && !hasPermission(req.user, 'moderate_reviews')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    await Review.deleteOne({ _id: review._id });
+    await refreshProductRating(review.product);
+
+    res.status(200).json({ success: true, message: 'Review deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Hide or unhide a review.
+// Hidden reviews stop counting toward the product rating.
+exports.moderateReview = async (req, res) => {
+  try {
+    const { isHidden, note } = req.body;
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, product: req.params.id },
+      { isHidden, moderationNote: note, moderatedBy: req.user._id },
+      { returnDocument: 'after', runValidators: true }
+    );
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    await refreshProductRating(review.product);
+
+    res.status(200).json({
+      success: true,
+      data: review,
+      message: isHidden ? 'Review hidden successfully' : 'Review restored successfully'
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,155 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { getRoleRank, hasPermission, refreshRoleCache } = require('../utils/rbac');
+const { recordAudit } = require('../utils/audit');
+
+// Authority checks shared by create and update.
+// Returns an error message when the caller may not define a role with this rank/permission set.
+const getRoleAuthorityError = (actor, { rank, permissions }) => {
+  const isRoot = hasPermission(actor, 'all');
+  const myRank = getRoleRank(actor.role);
+
+  if (rank !== undefined && (rank > myRank || (rank === myRank && !isRoot))) {
+    return 'Access denied: You cannot define a role ranked at or above your own.';
+  }
+  if (permissions && !isRoot) {
+    const notHeld = permissions.filter((permission) => permission === 'all' || !hasPermission(actor, permission));
+    if (notHeld.length > 0) {
+      return `Access denied: You cannot grant permissions you do not hold (${notHeld.join(', ')}).`;
+    }
+  }
+  return null;
+};
+
+// Callers can only change roles ranked below their own (root excepted).
+const canManageRole = (actor, role) => hasPermission(actor, 'all') || role.rank < getRoleRank(actor.role);
+
+// Get all roles, highest rank first.
+exports.getAllRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ rank: -1 });
+    res.status(200).json({ success: true, data: roles });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Get one role by name.
+exports.getRoleByName = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+    res.status(200).json({ success: true, data: role });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Create a role.
+exports.createRole = async (req, res) => {
+  try {
+    const { name, rank, permissions, description } = req.body;
+
+    const authorityError = getRoleAuthorityError(req.user, { rank, permissions });
+    if (authorityError) {
+      return res.status(403).json({ success: false, message: authorityError });
+    }
+
+    const existing = await Role.findOne({ name: name.toLowerCase() });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'Role already exists' });
+    }
+
+    const role = await Role.create({
+      name,
+      rank,
+      permissions,
+      description,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await refreshRoleCache();
+    await recordAudit(req, { action: 'role.create', targetType: 'Role', targetId: role._id, after: role });
+
+    res.status(201).json({ success: true, data: role, message: 'Role created successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Update a role's rank, permissions or description. Names are immutable.
+exports.updateRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+
+    if (!canManageRole(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You cannot modify roles at your level or higher.'
+      });
+    }
+
+    const { rank, permissions, description } = req.body;
+    const authorityError = getRoleAuthorityError(req.user, { rank, permissions });
+    if (authorityError) {
+      return res.status(403).json({ success: false, message: authorityError });
+    }
+
+    const before = role.toObject();
+    if (rank !== undefined) role.rank = rank;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user._id;
+
+    const savedRole = await role.save();
+    await refreshRoleCache();
+    await recordAudit(req, { action: 'role.update', targetType: 'Role', targetId: role._id, before, after: savedRole });
+
+    res.status(200).json({ success: true, data: savedRole, message: 'Role updated successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a role.
+// System roles and roles still assigned to users cannot be deleted.
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+
+    if (!canManageRole(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You cannot delete roles at your level or higher.'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(409).json({ success: false, message: 'System roles cannot be deleted' });
+    }
+
+    const assignedUsers = await User.countDocuments({ role: role.name });
+    if (assignedUsers > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is still assigned to ${assignedUsers} user(s)`
+      });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+    await refreshRoleCache();
+    await recordAudit(req, { action: 'role.delete', targetType: 'Role', targetId: role._id, before: role });
+
+    res.status(200).json({ success: true, message: 'Role deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,264 @@
+const Ticket = require('../models/Ticket');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { recordAudit } = require('../utils/audit');
+const { sameId } = require('../utils/orderAccess');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const {
+  isSupportStaff,
+  getTicketScope,
+  canReadTicket,
+  applySlaTargets,
+  toTicketView
+} = require('../utils/tickets');
+
+// Staff see who wrote each message; customers only need names.
+const authorFieldsFor = (user) => (isSupportStaff(user) ? 'name email role' : 'name');
+
+const findReadableTicket = async (req, res) => {
+  const ticket = await Ticket.findById(req.params.id);
+  if (!ticket) {
+    res.status(404).json({ success: false, message: 'Ticket not found' });
+    return null;
+  }
+  if (!canReadTicket(req.user, ticket)) {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return null;
+  }
+  return ticket;
+};
+
+const populateTicket = (ticket, user) => ticket.populate([
+  { path: 'customer', select: 'name email phone' },
+  { path: 'assignedTo', select: 'name email' },
+  { path: 'order', select: 'status totalAmount createdAt' },
+  { path: 'messages.author', select: authorFieldsFor(user) }
+]);
+
+// Open a ticket, optionally about one of the caller's orders.
+exports.createTicket = async (req, res) => {
+  try {
+    const { subject, message, order } = req.body;
+
+    if (order) {
+      const linkedOrder = await Order.findById(order).select('user');
+      if (!linkedOrder || !sameId(linkedOrder.user, req.user._id)) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+      }
+    }
+
+    const now = new Date();
+    const ticket = new Ticket({
+      subject,
+      customer: req.user._id,
+      order: order || null,
+      messages: [{ author: req.user._id, body: message }],
+      lastActivityAt: now
+    });
+    applySlaTargets(ticket);
+    await ticket.save();
+
+    await populateTicket(ticket, req.user);
+    res.status(201).json({ success: true, data: toTicketView(ticket, req.user), message: 'Ticket created successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// List tickets: customers get their own, support staff get everyone's.
+// Filters: status, priority, assignee (user id, "me" or "none"), order.
+exports.getTickets = async (req, res) => {
+  try {
+    const filter = getTicketScope(req.user);
+    const { status, priority, assignee, order } = req.query;
+    if (status) filter.status = status;
+    if (priority) filter.priority = priority;
+    if (order) filter.order = order;
+    if (assignee && isSupportStaff(req.user)) {
+      if (assignee === 'me') filter.assignedTo = req.user._id;
+      else if (assignee === 'none') filter.assignedTo = null;
+      else filter.assignedTo = assignee;
+    }
+
+    const pagination = parsePagination(req.query);
+    const [tickets, total] = await Promise.all([
+      Ticket.find(filter)
+        .select('-messages')
+        .sort({ lastActivityAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('customer', 'name email')
+        .populate('assignedTo', 'name email'),
+      Ticket.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: tickets.map((ticket) => toTicketView(ticket, req.user)),
+      pagination: buildPaginationMeta(pagination, total)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Get one ticket with its thread.
+exports.getTicketById = async (req, res) => {
+  try {
+    const ticket = await findReadableTicket(req, res);
+    if (!ticket) return;
+
+    await populateTicket(ticket, req.user);
+    res.status(200).json({ success: true, data: toTicketView(ticket, req.user) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Reply to a ticket or, for staff, add an internal note.
+// Staff replies put the ticket on the customer (pending); customer replies reopen it.
+exports.addTicketMessage = async (req, res) => {
+  try {
+    const ticket = await findReadableTicket(req, res);
+    if (!ticket) return;
+
+    const isStaff = isSupportStaff(req.user);
+    const isInternal = Boolean(req.body.internal);
+    if (isInternal && !isStaff) {
+      return res.status(403).json({ success: false, message: 'Only support staff can add internal notes' });
+    }
+    if (ticket.status === 'closed') {
+      return res.status(409).json({ success: false, message: 'Closed tickets cannot receive messages' });
+    }
+
+    const now = new Date();
+    ticket.messages.push({ author: req.user._id, isStaff, isInternal, body: req.body.body });
+    ticket.lastActivityAt = now;
+
+    if (!isInternal) {
+      if (isStaff) {
+        if (!ticket.firstResponseAt) ticket.firstResponseAt = now;
+        if (ticket.status === 'open') ticket.status = 'pending';
+      } else if (ticket.status !== 'open') {
+        ticket.status = 'open';
+        ticket.resolvedAt = null;
+      }
+    }
+    await ticket.save();
+
+    await populateTicket(ticket, req.user);
+    res.status(201).json({ success: true, data: toTicketView(ticket, req.user), message: 'Message added successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Change ticket status. Customers may only close their own tickets.
+exports.updateTicketStatus = async (req, res) => {
+  try {
+    const ticket = await findReadableTicket(req, res);
+    if (!ticket) return;
+
+    const { status } = req.body;
+    if (!isSupportStaff(req.user) && status !== 'closed') {
+      return res.status(403).json({ success: false, message: 'Access denied: Customers can only close their tickets' });
+    }
+    if (ticket.status === status) {
+      return res.status(200).json({ success: true, data: toTicketView(ticket, req.user), message: `Ticket already ${status}` });
+    }
+
+    const previousStatus = ticket.status;
+    const now = new Date();
+    ticket.status = status;
+    ticket.lastActivityAt = now;
+    if (status === 'resolved') {
+      ticket.resolvedAt = now;
+    } else if (status === 'closed') {
+      ticket.closedAt = now;
+      if (!ticket.resolvedAt) ticket.resolvedAt = now;
+    } else {
+      ticket.resolvedAt = null;
+      ticket.closedAt = null;
+    }
+    await ticket.save();
+
+    await recordAudit(req, {
+      action: 'ticket.status_update',
+      targetType: 'Ticket',
+      targetId: ticket._id,
+      before: { status: previousStatus },
+      after: { status }
+    });
+    res.status(200).json({ success: true, data: toTicketView(ticket, req.user), message: 'Ticket status updated successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Change priority; SLA due dates follow the new priority.
+exports.updateTicketPriority = async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
+
+    const previousPriority = ticket.priority;
+    ticket.priority = req.body.priority;
+    applySlaTargets(ticket);
+    await ticket.save();
+
+    await recordAudit(req, {
+      action: 'ticket.priority_update',
+      targetType: 'Ticket',
+      targetId: ticket._id,
+      before: { priority: previousPriority },
+      after: { priority: ticket.priority }
+    });
+    res.status(200).json({ success: true, data: toTicketView(ticket, req.user), message: 'Ticket priority updated successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Assign a ticket to a support agent, or unassign with { assignee: null }.
+exports.assignTicket = async (req, res) => {
+  try {
+    const { assignee } = req.body;
+
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
+
+    if (assignee) {
+      const agent = await User.findById(assignee).select('-password');
+      if (!agent) {
+        return res.status(404).json({ success: false, message: 'Agent not found' });
+      }
+      if (!isSupportStaff(agent)) {
+        return res.status(400).json({ success: false, message: 'Assigned user must be support staff' });
+      }
+    }
+
+    const previousAssignee = ticket.assignedTo;
+    ticket.assignedTo = assignee || null;
+    ticket.assignedAt = assignee ? new Date() : null;
+    await ticket.save();
+
+    await recordAudit(req, {
+      action: assignee ? 'ticket.assign' : 'ticket.unassign',
+      targetType: 'Ticket',
+      targetId: ticket._id,
+      before: { assignedTo: previousAssignee || null },
+      after: { assignedTo: ticket.assignedTo }
+    });
+    res.status(200).json({
+      success: true,
+      data: toTicketView(ticket, req.user),
+      message: assignee ? 'Ticket assigned successfully' : 'Ticket unassigned successfully'
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
@@ -1,12 +1,58 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcryptjs = require('bcryptjs');
 const crypto = require('crypto');
 const Token = require('../models/tokens');
 const { getRoleRank, hasPermission, hasAnyPermission } = require('../utils/rbac');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/authTokens');
+const { recordAudit } = require('../utils/audit');
+const {
+  compareWithoutUser,
+  getLockRemainingMs,
+  recordFailedLogin,
+  clearFailedLogins,
+  getLockoutStatus
+} = require('../utils/loginProtection');
+
+const { queueEmail } = require('../utils/mailer');
+
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid email or password';
+const FORGOT_PASSWORD_MESSAGE = 'If the account exists, a password reset email has been sent.';
+const RESET_TOKEN_TTL_MINUTES = 15;
+const VERIFICATION_TOKEN_TTL_HOURS = 48;
+
+const hashToken = (rawToken) => crypto.createHash('sha256').update(rawToken).digest('hex');
+
+// Create a one-time emailed token, replacing earlier ones of the same type. Only its hash is stored.
+const issueEmailToken = async (user, type, ttlMs) => {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  await Token.deleteMany({ user: user._id, type });
+  await Token.create({
+    user: user._id,
+    type,
+    token: hashToken(rawToken),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return rawToken;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueEmailToken(user, 'email_verification', VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  await queueEmail({
+    to: user.email,
+    template: 'verifyEmail',
+    data: { name: user.name, token, expiresInHours: VERIFICATION_TOKEN_TTL_HOURS }
+  });
+};
 
 // Login endpoint.
-// Validates credentials and returns JWT + basic user data.
+// Validates credentials and returns a short-lived JWT, a refresh token and basic user data.
+// Unknown emails, wrong passwords and locked accounts all get the same answer,
+// so the response never reveals which emails are registered.
 exports.loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -15,66 +61,92 @@ exports.loginUser = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Please provide email and password' });
     }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'Invalid email credentials' });
-    }
+    const user = await User.findOne({ email: String(email).toLowerCase() });
 
-    const isMatch = await bcryptjs.compare(password, user.password);
+    // A locked account is checked against the dummy hash too: even the right password fails until the lock ends.
+    const isLocked = user ? getLockRemainingMs(user) > 0 : false;
+    const isMatch = user && !isLocked ? await bcryptjs.compare(password, user.password) : await compareWithoutUser(password);
     if (!isMatch) {
-      return res.status(401).json({ success: false, message: 'Invalid password credentials' });
+      if (user && !isLocked) await recordFailedLogin(user);
+      return res.status(401).json({ success: false, message: INVALID_CREDENTIALS_MESSAGE });
     }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
-    );
+    if (user.failedLoginAttempts > 0 || user.lockUntil) await clearFailedLogins(user._id);
+
+    const { token, refreshToken, expiresIn } = await issueTokenPair(user, req.ip);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Refresh endpoint.
+// Rotates the refresh token and returns a new token pair.
+exports.refreshToken = async (req, res) => {
+  try {
+    const { user, token, refreshToken, expiresIn } = await rotateRefreshToken(req.body.refreshToken, req.ip);
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
         role: user.role
       }
     });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Logout endpoint.
+// Revokes the current session, or every session of the user with `allSessions: true`.
+exports.logoutUser = async (req, res) => {
+  try {
+    if (req.body && req.body.allSessions === true) {
+      await revokeAllSessions(req.user._id);
+    } else {
+      await revokeSession(req.sessionId);
+    }
+
+    res.status(200).json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 };
 
 // Forgot password endpoint.
-// Creates a short-lived reset token and stores only its hash in DB.
+// Emails a short-lived reset link; the token itself is never part of the response.
 exports.forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
-    const user = await User.findOne({ email });
-
-    // Return generic success even when user is missing to avoid account enumeration.
-    if (!user) {
-      return res.status(200).json({
-        success: true,
-        message: 'If the account exists, a reset token has been generated.'
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+
+    // Same answer whether or not the account exists, to avoid account enumeration.
+    if (user) {
+      const token = await issueEmailToken(user, 'password_reset', RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+      await queueEmail({
+        to: user.email,
+        template: 'passwordReset',
+        data: { name: user.name, token, expiresInMinutes: RESET_TOKEN_TTL_MINUTES }
       });
     }
 
-    const rawToken = crypto.randomBytes(32).toString('hex');
-    const hashedToken = crypto.createHash('sha256').update(rawToken).digest('hex');
-
-    await Token.deleteMany({ user: user._id });
-    await Token.create({
-      user: user._id,
-      token: hashedToken,
-      expiresAt: new Date(Date.now() + 15 * 60 * 1000)
-    });
-
-    res.status(200).json({
-      success: true,
-      message: 'Password reset token generated.',
-      resetToken: rawToken
-    });
+    res.status(200).json({ success: true, message: FORGOT_PASSWORD_MESSAGE });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -85,10 +157,9 @@ exports.forgotPassword = async (req, res) => {
 exports.resetPassword = async (req, res) => {
   try {
     const { token, newPassword } = req.body;
-    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
-
     const tokenDoc = await Token.findOne({
-      token: hashedToken,
+      token: hashToken(token),
+      type: 'password_reset',
       expiresAt: { $gt: new Date() }
     });
 
@@ -104,7 +175,14 @@ exports.resetPassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    await Token.deleteMany({ user: user._id });
+    await Token.deleteMany({ user: user._id, type: 'password_reset' });
+    await revokeAllSessions(user._id);
+    await recordAudit(req, {
+      action: 'user.password_reset',
+      targetType: 'User',
+      targetId: user._id,
+      actor: user
+    });
 
     res.status(200).json({ success: true, message: 'Password reset successfully.' });
   } catch (error) {
@@ -112,8 +190,56 @@ exports.resetPassword = async (req, res) => {
   }
 };
 
+// Verify email endpoint.
+// Consumes the emailed verification token and marks the address as confirmed.
+exports.verifyEmail = async (req, res) => {
+  try {
+    const tokenDoc = await Token.findOne({
+      token: hashToken(req.body.token),
+      type: 'email_verification',
+      expiresAt: { $gt: new Date() }
+    });
+    if (!tokenDoc) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification token.' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      tokenDoc.user,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    await Token.deleteMany({ user: tokenDoc.user, type: 'email_verification' });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found.' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.email_verify',
+      targetType: 'User',
+      targetId: user._id,
+      actor: user
+    });
+    res.status(200).json({ success: true, message: 'Email verified successfully.' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Send a fresh verification email to the logged-in user.
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(409).json({ success: false, message: 'Email is already verified.' });
+    }
+    await sendVerificationEmail(req.user);
+    res.status(200).json({ success: true, message: 'Verification email sent.' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 // Create user (signup).
-// New users always start with "user" role from this endpoint.
+// New users always start with "user" role from this endpoint and must verify their email before ordering.
 exports.createUser = async (req, res) => {
   try {
     const { name, email, password } = req.body;
@@ -127,15 +253,31 @@ exports.createUser = async (req, res) => {
     const user = new User({ name, email, password, role });
     const savedUser = await user.save();
 
+    // The account exists either way; a lost email can be re-sent from /resend-verification.
+    try {
+      await sendVerificationEmail(savedUser);
+    } catch (error) {
+      console.error(`Failed to queue verification email for ${savedUser._id}:`, error.message);
+    }
+
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'User',
+      targetId: savedUser._id,
+      after: savedUser,
+      actor: savedUser
+    });
+
     res.status(201).json({
       success: true,
       data: {
         id: savedUser._id,
         name: savedUser.name,
         email: savedUser.email,
-        role: savedUser.role
+        role: savedUser.role,
+        emailVerified: savedUser.emailVerified
       },
-      message: 'User created successfully'
+      message: 'User created successfully. Check your email to verify your address.'
     });
   } catch (error) {
     res.status(400).json({ success: false, message: error.message });
@@ -157,7 +299,7 @@ exports.getUserById = async (req, res) => {
   try {
     const targetUserId = req.params.id;
     const isOwner = req.user.id === targetUserId;
-    const canReadAnyProfile = hasAnyPermission(req.user.role, ['read_users', 'manage_users']);
+    const canReadAnyProfile = hasAnyPermission(req.user, ['read_users', 'manage_users']);
 
     if (!isOwner && !canReadAnyProfile) {
       return res.status(403).json({ success: false, message: 'Access denied' });
@@ -202,7 +344,7 @@ exports.updateUser = async (req, res) => {
     }
 
     if (req.body.role) {
-      if (!hasPermission(req.user.role, 'assign_roles')) {
+      if (!hasPermission(req.user, 'assign_roles')) {
         return res.status(403).json({
           success: false,
           message: 'Access denied: You do not have permission to assign roles.'
@@ -223,7 +365,7 @@ exports.updateUser = async (req, res) => {
       }
 
       // You cannot assign a role equal to or above your own level (except root).
-      if (myLevel <= newRoleLevel && !hasPermission(req.user.role, 'all')) {
+      if (myLevel <= newRoleLevel && !hasPermission(req.user, 'all')) {
         return res.status(403).json({
           success: false,
           message: `Access denied: You cannot assign '${req.body.role}' role beyond your authority level.`
@@ -236,6 +378,13 @@ exports.updateUser = async (req, res) => {
       delete req.body.password;
     }
 
+    // A new address has to be confirmed again.
+    const emailChanged = req.body.email && req.body.email.toLowerCase() !== targetUser.email;
+    if (emailChanged) {
+      req.body.emailVerified = false;
+      req.body.emailVerifiedAt = null;
+    }
+
     req.body.updatedBy = req.user._id;
 
     const updatedUser = await User.findByIdAndUpdate(
@@ -244,6 +393,28 @@ exports.updateUser = async (req, res) => {
       { returnDocument: 'after', runValidators: true }
     ).select('-password');
 
+    // A role change must not leave tokens carrying the old role alive.
+    const roleChanged = req.body.role && req.body.role !== targetUser.role;
+    if (roleChanged) {
+      await revokeAllSessions(targetUserId);
+    }
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (error) {
+        console.error(`Failed to queue verification email for ${updatedUser._id}:`, error.message);
+      }
+    }
+
+    await recordAudit(req, {
+      action: roleChanged ? 'user.role_assign' : 'user.update',
+      targetType: 'User',
+      targetId: targetUser._id,
+      before: targetUser,
+      after: updatedUser
+    });
+
     res.status(200).json({
       success: true,
       data: updatedUser,
@@ -284,6 +455,12 @@ exports.simplePasswordUpdate = async (req, res) => {
 
     user.password = newPassword;
     await user.save();
+    await revokeAllSessions(user._id);
+    await recordAudit(req, {
+      action: 'user.password_change',
+      targetType: 'User',
+      targetId: user._id
+    });
 
     res.status(200).json({ success: true, message: 'Password updated successfully' });
   } catch (error) {
@@ -304,7 +481,7 @@ exports.deleteUser = async (req, res) => {
     const myLevel = getRoleRank(req.user.role);
     const targetLevel = getRoleRank(targetUser.role);
 
-    if (myLevel <= targetLevel && !hasPermission(req.user.role, 'all')) {
+    if (myLevel <= targetLevel && !hasPermission(req.user, 'all')) {
       return res.status(403).json({
         success: false,
         message: `Access denied: You cannot delete a '${targetUser.role}' user beyond your authority level.`
@@ -312,8 +489,115 @@ exports.deleteUser = async (req, res) => {
     }
 
     await User.findByIdAndDelete(targetUserId);
+    await revokeAllSessions(targetUserId);
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: targetUser._id,
+      before: targetUser
+    });
     res.status(200).json({ success: true, message: `User (${targetUser.role}) deleted successfully` });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 };
+
+// Set per-user permission grants and denials on top of the user's role.
+// Same hierarchy rules as role assignment: only for users below you, only permissions you hold.
+exports.updateUserPermissions = async (req, res) => {
+  try {
+    const targetUser = await User.findById(req.params.id).select('-password');
+    if (!targetUser) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const isRoot = hasPermission(req.user, 'all');
+    if (!isRoot && getRoleRank(req.user.role) <= getRoleRank(targetUser.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You cannot change permissions of users at your level or higher.'
+      });
+    }
+
+    const { grants, denials } = req.body;
+    if (grants && !isRoot) {
+      const notHeld = grants.filter((permission) => permission === 'all' || !hasPermission(req.user, permission));
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied: You cannot grant permissions you do not hold (${notHeld.join(', ')}).`
+        });
+      }
+    }
+
+    const before = targetUser.toObject();
+    if (grants !== undefined) targetUser.permissionGrants = [...new Set(grants)];
+    if (denials !== undefined) targetUser.permissionDenials = [...new Set(denials)];
+    targetUser.updatedBy = req.user._id;
+    const savedUser = await targetUser.save();
+
+    await recordAudit(req, {
+      action: 'user.permissions_update',
+      targetType: 'User',
+      targetId: targetUser._id,
+      before,
+      after: savedUser
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: savedUser._id,
+        role: savedUser.role,
+        permissionGrants: savedUser.permissionGrants,
+        permissionDenials: savedUser.permissionDenials
+      },
+      message: 'User permissions updated successfully'
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Lockout state of one user's account.
+exports.getUserLockout = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('failedLoginAttempts lastFailedLoginAt lockUntil');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.status(200).json({ success: true, data: getLockoutStatus(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Clear failed login attempts and any active lockout.
+exports.clearUserLockout = async (req, res) => {
+  try {
+    const targetUser = await User.findById(req.params.id).select('role failedLoginAttempts lastFailedLoginAt lockUntil');
+    if (!targetUser) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (getRoleRank(req.user.role) <= getRoleRank(targetUser.role) && !hasPermission(req.user, 'all')) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied: You cannot unlock a '${targetUser.role}' user beyond your authority level.`
+      });
+    }
+
+    const before = getLockoutStatus(targetUser);
+    await clearFailedLogins(targetUser._id);
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: targetUser._id,
+      before,
+      after: { locked: false, lockUntil: null, failedLoginAttempts: 0, lastFailedLoginAt: null }
+    });
+    res.status(200).json({ success: true, message: 'User lockout cleared successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/authTokens');
 
 // Authentication middleware.
 // Reads JWT from Authorization header and attaches user to req.user.
+// Tokens are rejected once their session is revoked or the user's token version changes.
 const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -25,8 +27,16 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    if (decoded.tv !== user.tokenVersion || !decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+
     // Store user on request so permission middleware and controllers can use it.
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOCK_MS = 60 * 1000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// JSON with sorted object keys, so the same body always hashes the same.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Keyed with the server secret: signup bodies hold passwords, and a plain hash could be brute-forced.
+const hashRequest = (req) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || 'idempotency')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+const replay = (res, record) => {
+  res.setHeader('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus).json(record.responseBody);
+};
+
+// Claim a key for this request. Returns the claimed record, or the existing one when the key is taken.
+const claimKey = async ({ scope, key, requestHash, ttlMs, lockMs }) => {
+  const now = Date.now();
+  try {
+    const record = await IdempotencyKey.create({
+      scope,
+      key,
+      requestHash,
+      lockedUntil: new Date(now + lockMs),
+      expiresAt: new Date(now + ttlMs)
+    });
+    return { claimed: true, record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ scope, key });
+  if (!existing) return claimKey({ scope, key, requestHash, ttlMs, lockMs });
+
+  // Expired records wait for the TTL monitor; a stale in-progress claim belongs to a request that never finished.
+  const isExpired = existing.expiresAt.getTime() <= now;
+  const isAbandoned = existing.status === 'in_progress' && existing.lockedUntil && existing.lockedUntil.getTime() <= now;
+  if (isExpired || (isAbandoned && existing.requestHash === requestHash)) {
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, updatedAt: existing.updatedAt },
+      {
+        $set: {
+          requestHash,
+          status: 'in_progress',
+          lockedUntil: new Date(now + lockMs),
+          expiresAt: new Date(now + ttlMs)
+        },
+        $unset: { responseStatus: 1, responseBody: 1 }
+      },
+      { returnDocument: 'after' }
+    );
+    if (taken) return { claimed: true, record: taken };
+  }
+  return { claimed: false, record: existing };
+};
+
+// Idempotency-Key middleware factory. Runs after authentication and validation, right before the handler.
+// The first request with a key runs normally and its response is stored per user (or client IP) and key;
+// a retry with the same key and body gets the stored response, a retry while the first one is still running
+// gets 409, and the same key with a different request gets 422. Requests without the header are not affected.
+// 5xx responses and aborted requests release the key so the client can retry.
+const idempotency = ({ ttlMs = DEFAULT_TTL_MS, lockMs = DEFAULT_LOCK_MS } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({ success: false, message: 'Idempotency-Key must be 1-255 printable characters.' });
+  }
+
+  // Anonymous keys (signup) are scoped to the client IP, so strangers cannot collide with or replay each other's keys.
+  const scope = req.user ? `user:${req.user._id}` : `anonymous:${req.ip}`;
+  const requestHash = hashRequest(req);
+
+  let claim;
+  try {
+    claim = await claimKey({ scope, key, requestHash, ttlMs, lockMs });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+
+  const { record } = claim;
+  if (!claim.claimed) {
+    if (record.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key has already been used with a different request.'
+      });
+    }
+    if (record.status === 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed.'
+      });
+    }
+    return replay(res, record);
+  }
+
+  // The result is stored before the body goes out, so a retry sent as soon as the response
+  // arrives is replayed instead of answered with 409.
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) return json(body);
+    stored = true;
+    IdempotencyKey.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: 'completed',
+          lockedUntil: null,
+          responseStatus: res.statusCode,
+          responseBody: JSON.parse(JSON.stringify(body))
+        }
+      }
+    )
+      .catch((error) => console.error(`Failed to store Idempotency-Key ${key}:`, error.message))
+      .finally(() => json(body));
+    return res;
+  };
+
+  // Nothing stored (5xx, no JSON body, or the client gave up first): release the key.
+  res.on('close', () => {
+    if (stored) return;
+    IdempotencyKey.deleteOne({ _id: record._id, status: 'in_progress' })
+      .catch((error) => console.error(`Failed to release Idempotency-Key ${key}:`, error.message));
+  });
+
+  return next();
+};
+
+module.exports = idempotency;
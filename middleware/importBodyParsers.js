@@ -0,0 +1,13 @@
+const express = require('express');
+
+// Bulk imports take CSV or JSON files of up to 5 MB, well above the app-wide 100 kB JSON limit.
+// server.js runs these ahead of the app-wide parser for the import route; once a body is read
+// the later parsers leave it alone.
+const IMPORT_BODY_LIMIT = '5mb';
+
+const importBodyParsers = [
+  express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }),
+  express.json({ limit: IMPORT_BODY_LIMIT })
+];
+
+module.exports = importBodyParsers;
@@ -1,19 +1,21 @@
-const { getRoleConfig, hasAnyPermission } = require('../utils/rbac');
+const { getRoleConfig, hasAnyPermission, ensureFreshRoles } = require('../utils/rbac');
 
 // Permission middleware factory.
-// Access is granted when user has at least one of the required permissions.
+// Access is granted when user has at least one of the required permissions
+// (role permissions plus per-user grants, minus per-user denials).
 const checkPermission = (...requiredPermissions) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ success: false, message: 'Not authenticated' });
     }
 
+    await ensureFreshRoles();
     const userRoleConfig = getRoleConfig(req.user.role);
     if (!userRoleConfig) {
       return res.status(403).json({ success: false, message: 'Invalid user role' });
     }
 
-    if (hasAnyPermission(req.user.role, requiredPermissions)) {
+    if (hasAnyPermission(req.user, requiredPermissions)) {
       return next();
     }
 
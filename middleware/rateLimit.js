@@ -0,0 +1,32 @@
+const { rateLimits, tooManyAttemptsMessage } = require('../config/securityConfig');
+const { createDefaultStore } = require('../utils/rateLimitStores');
+
+const defaultStore = createDefaultStore();
+
+// Rate limit middleware factory.
+// Counts requests per client IP for the named limit in config/securityConfig.js and answers 429 with
+// Retry-After once the window's budget is spent. A failing store never blocks the request.
+const rateLimit = (name, { store = defaultStore, keyGenerator = (req) => req.ip } = {}) => {
+  const { windowMs, max } = rateLimits[name];
+
+  return async (req, res, next) => {
+    let hit;
+    try {
+      hit = await store.increment(`${name}:${keyGenerator(req)}`, windowMs);
+    } catch (error) {
+      console.error(`Rate limit store failed for ${name}:`, error.message);
+      return next();
+    }
+
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, max - hit.count));
+    if (hit.count > max) {
+      const retryAfterSeconds = Math.max(1, Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000));
+      res.setHeader('Retry-After', retryAfterSeconds);
+      return res.status(429).json({ success: false, message: tooManyAttemptsMessage });
+    }
+    return next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Request id middleware.
+// Reuses a client-supplied X-Request-Id (when sane) or generates one, and echoes it back.
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && /^[\w-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
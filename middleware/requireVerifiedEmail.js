@@ -0,0 +1,13 @@
+// Verified email middleware.
+// Runs after authMiddleware; blocks actions such as ordering until the user has confirmed their email.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first.'
+    });
+  }
+  return next();
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,46 @@
+const multer = require('multer');
+const { detectImageType } = require('../utils/mediaStorage');
+const { maxImageBytes, maxImagesPerUpload, maxAltLength } = require('../config/mediaConfig');
+
+// Files are kept in memory (bounded by the limits below) and written to media storage by the controller.
+const parseImages = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxImageBytes, files: maxImagesPerUpload, fields: maxImagesPerUpload + 5 }
+}).array('images', maxImagesPerUpload);
+
+const fail = (res, message, status = 400) => res.status(status).json({ success: false, message });
+
+const uploadErrorMessage = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') return `Each image must be at most ${maxImageBytes / (1024 * 1024)} MB.`;
+  if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+    return `Upload up to ${maxImagesPerUpload} files in the "images" field.`;
+  }
+  return error.message;
+};
+
+// Multipart image upload: files in "images", optional "alt" texts in the same order.
+// Each file's type is taken from its magic bytes (file.detectedType); anything else is rejected.
+// Runs after authentication and permission checks so only allowed callers get to send files.
+const uploadImages = (req, res, next) => parseImages(req, res, (error) => {
+  if (error instanceof multer.MulterError) {
+    return fail(res, uploadErrorMessage(error), error.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+  }
+  if (error) return next(error);
+
+  const files = req.files || [];
+  if (files.length === 0) return fail(res, 'At least one file is required in the "images" field.');
+  for (const file of files) {
+    file.detectedType = detectImageType(file.buffer);
+    if (!file.detectedType) return fail(res, `${file.originalname} is not a JPEG, PNG, GIF or WebP image.`);
+  }
+
+  const alt = req.body && req.body.alt !== undefined ? [].concat(req.body.alt) : [];
+  if (alt.length > files.length) return fail(res, 'There are more alt texts than images.');
+  if (alt.some((text) => typeof text !== 'string' || text.length > maxAltLength)) {
+    return fail(res, `Alt text must be at most ${maxAltLength} characters.`);
+  }
+  req.imageAlts = alt;
+  return next();
+});
+
+module.exports = uploadImages;
@@ -1,4 +1,20 @@
-const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const mongoose = require('mongoose');
+const { SORT_OPTIONS } = require('../utils/productQuery');
+const { isValidSlug } = require('../utils/slugs');
+const { getContentType } = require('../utils/content');
+const { getPostalAddressError } = require('../utils/addresses');
+const {
+  isNonEmptyString,
+  isNonNegativeFinite,
+  isNonNegativeInteger,
+  isAbsoluteHttpUrl
+} = require('../utils/validation');
+const { getVariantsError, getSeoFieldsError, getCreateProductBodyError } = require('../utils/productRules');
+const { orderStatuses, fulfillmentStatuses } = require('../config/orderStatusConfig');
+const { ticketStatuses, ticketPriorities } = require('../config/ticketConfig');
+const { paymentEventStatuses } = require('../config/paymentConfig');
+const { maxAltLength } = require('../config/mediaConfig');
+const { stockMovementTypes, manualMovementTypes } = require('../config/inventoryConfig');
 
 const fail = (res, message) => res.status(400).json({ success: false, message });
 
@@ -10,6 +26,22 @@ const validateLoginBody = (req, res, next) => {
   return next();
 };
 
+const validateRefreshTokenBody = (req, res, next) => {
+  const { refreshToken } = req.body || {};
+  if (!isNonEmptyString(refreshToken)) {
+    return fail(res, 'Refresh token is required.');
+  }
+  return next();
+};
+
+const validateLogoutBody = (req, res, next) => {
+  const { allSessions } = req.body || {};
+  if (allSessions !== undefined && typeof allSessions !== 'boolean') {
+    return fail(res, 'allSessions must be a boolean.');
+  }
+  return next();
+};
+
 const validateForgotPasswordBody = (req, res, next) => {
   const { email } = req.body || {};
   if (!isNonEmptyString(email)) {
@@ -29,6 +61,14 @@ const validateResetPasswordBody = (req, res, next) => {
   return next();
 };
 
+const validateVerifyEmailBody = (req, res, next) => {
+  const { token } = req.body || {};
+  if (!isNonEmptyString(token)) {
+    return fail(res, 'Verification token is required.');
+  }
+  return next();
+};
+
 const validateCreateUserBody = (req, res, next) => {
   const { name, email, password } = req.body || {};
   if (!isNonEmptyString(name)) return fail(res, 'Name is required.');
@@ -64,12 +104,41 @@ const validatePasswordUpdateBody = (req, res, next) => {
 };
 
 const validateCreateProductBody = (req, res, next) => {
-  const { name, price, category } = req.body || {};
-  if (!isNonEmptyString(name)) return fail(res, 'Product name is required.');
-  if (typeof price !== 'number' || Number.isNaN(price) || price < 0) {
-    return fail(res, 'Product price must be a valid non-negative number.');
+  const error = getCreateProductBodyError(req.body);
+  if (error) return fail(res, error);
+  return next();
+};
+
+const validateProductSeoBody = (req, res, next) => {
+  const allowed = ['slug', 'metaTitle', 'metaDescription', 'canonicalUrl', 'keywords'];
+  const keys = Object.keys(req.body || {});
+  if (keys.length === 0) return fail(res, 'At least one SEO field is required.');
+  if (keys.some((key) => !allowed.includes(key))) {
+    return fail(res, `Only SEO fields can be updated here: ${allowed.join(', ')}.`);
+  }
+  const error = getSeoFieldsError(req.body);
+  if (error) return fail(res, error);
+  return next();
+};
+
+const validateProductImageBody = (req, res, next) => {
+  const { alt, isPrimary } = req.body || {};
+  const keys = Object.keys(req.body || {});
+  if (keys.length === 0) return fail(res, 'alt or isPrimary is required.');
+  if (keys.some((key) => !['alt', 'isPrimary'].includes(key))) return fail(res, 'Only alt and isPrimary can be updated.');
+  if (alt !== undefined && (typeof alt !== 'string' || alt.length > maxAltLength)) {
+    return fail(res, `Alt text must be a string of at most ${maxAltLength} characters.`);
   }
-  if (!isNonEmptyString(category)) return fail(res, 'Product category is required.');
+  if (isPrimary !== undefined && isPrimary !== true) return fail(res, 'isPrimary can only be set to true.');
+  return next();
+};
+
+const validateImageOrderBody = (req, res, next) => {
+  const { order } = req.body || {};
+  if (!Array.isArray(order) || order.length === 0 || order.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return fail(res, 'order must be a non-empty array of image ids.');
+  }
+  if (new Set(order).size !== order.length) return fail(res, 'order must not repeat image ids.');
   return next();
 };
 
@@ -79,19 +148,192 @@ const validateUpdateProductBody = (req, res, next) => {
   if ('price' in req.body && (typeof req.body.price !== 'number' || Number.isNaN(req.body.price) || req.body.price < 0)) {
     return fail(res, 'Product price must be a valid non-negative number.');
   }
-  if ('stock' in req.body && (!Number.isInteger(req.body.stock) || req.body.stock < 0)) {
-    return fail(res, 'Product stock must be a valid non-negative integer.');
+  if ('stock' in req.body) {
+    return fail(res, 'Stock cannot be edited directly; record a stock adjustment with POST /products/:id/stock.');
+  }
+  if ('weight' in req.body && !isNonNegativeFinite(req.body.weight)) {
+    return fail(res, 'Product weight must be a valid non-negative number.');
+  }
+  if ('lowStockThreshold' in req.body && !isNonNegativeInteger(req.body.lowStockThreshold)) {
+    return fail(res, 'lowStockThreshold must be a valid non-negative integer.');
+  }
+  if ('variants' in req.body) {
+    const error = getVariantsError(req.body.variants);
+    if (error) return fail(res, error);
+    if (req.body.variants.some((variant) => variant.stock !== undefined)) {
+      return fail(res, 'Variant stock cannot be edited directly; record a stock adjustment with POST /products/:id/stock.');
+    }
+  }
+  return next();
+};
+
+const validateStockAdjustmentBody = (req, res, next) => {
+  const allowed = ['type', 'quantity', 'variant', 'reason', 'order'];
+  const { type = 'adjustment', quantity, variant, reason, order } = req.body || {};
+  if (Object.keys(req.body || {}).some((key) => !allowed.includes(key))) {
+    return fail(res, `Only these fields are allowed: ${allowed.join(', ')}.`);
+  }
+  if (!manualMovementTypes.includes(type)) return fail(res, `type must be one of: ${manualMovementTypes.join(', ')}.`);
+  if (!Number.isInteger(quantity) || quantity === 0) return fail(res, 'quantity must be a non-zero integer.');
+  if (variant !== undefined && !mongoose.Types.ObjectId.isValid(variant)) return fail(res, 'variant must be a valid id.');
+  if (reason !== undefined && (!isNonEmptyString(reason) || reason.length > 500)) {
+    return fail(res, 'reason must be a non-empty string of at most 500 characters.');
+  }
+  if (type === 'adjustment') {
+    if (reason === undefined) return fail(res, 'A reason is required for stock adjustments.');
+    if (order !== undefined) return fail(res, 'order can only be given for returns.');
+  }
+  if (type === 'return') {
+    if (!mongoose.Types.ObjectId.isValid(order)) return fail(res, 'A valid order id is required for returns.');
+    if (quantity < 0) return fail(res, 'Returned quantity must be positive.');
   }
   return next();
 };
 
+const validateStockMovementQuery = (req, res, next) => {
+  const { type, variant } = req.query || {};
+  if (type !== undefined && !stockMovementTypes.includes(type)) {
+    return fail(res, `type must be one of: ${stockMovementTypes.join(', ')}.`);
+  }
+  if (variant !== undefined && !mongoose.Types.ObjectId.isValid(variant)) return fail(res, 'Invalid variant');
+  return next();
+};
+
+const validateProductListQuery = (req, res, next) => {
+  const { page, limit, minPrice, maxPrice, inStock, vendor, sort } = req.query || {};
+  const isNonNegativeNumber = (value) => value !== '' && !Number.isNaN(Number(value)) && Number(value) >= 0;
+  const isPositiveInteger = (value) => /^\d+$/.test(String(value)) && Number(value) >= 1;
+
+  if (page !== undefined && !isPositiveInteger(page)) return fail(res, 'page must be a positive integer.');
+  if (limit !== undefined && !isPositiveInteger(limit)) return fail(res, 'limit must be a positive integer.');
+  if (minPrice !== undefined && !isNonNegativeNumber(minPrice)) {
+    return fail(res, 'minPrice must be a valid non-negative number.');
+  }
+  if (maxPrice !== undefined && !isNonNegativeNumber(maxPrice)) {
+    return fail(res, 'maxPrice must be a valid non-negative number.');
+  }
+  if (minPrice !== undefined && maxPrice !== undefined && Number(minPrice) > Number(maxPrice)) {
+    return fail(res, 'minPrice cannot be greater than maxPrice.');
+  }
+  if (inStock !== undefined && !['true', 'false'].includes(inStock)) {
+    return fail(res, 'inStock must be true or false.');
+  }
+  if (vendor !== undefined && !mongoose.Types.ObjectId.isValid(vendor)) {
+    return fail(res, 'Invalid vendor');
+  }
+  if (sort !== undefined && !Object.keys(SORT_OPTIONS).includes(sort)) {
+    return fail(res, `sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}.`);
+  }
+  return next();
+};
+
+// Export takes the catalog filters plus ?format=csv|json.
+const validateProductExportQuery = (req, res, next) => {
+  const { format } = req.query || {};
+  if (format !== undefined && !['csv', 'json'].includes(format)) return fail(res, 'format must be csv or json.');
+  return validateProductListQuery(req, res, next);
+};
+
+const validateProductImportQuery = (req, res, next) => {
+  const { dryRun } = req.query || {};
+  if (dryRun !== undefined && !['true', 'false'].includes(dryRun)) return fail(res, 'dryRun must be true or false.');
+  return next();
+};
+
+// Shared review field checks. Returns an error message or null.
+const getReviewBodyError = (body, { partial }) => {
+  const allowed = ['rating', 'title', 'body'];
+  const keys = Object.keys(body);
+  if (partial && keys.length === 0) return 'At least one field is required for update.';
+  if (keys.some((key) => !allowed.includes(key))) return 'Request contains unsupported review fields.';
+  if ((!partial || 'rating' in body) && (!Number.isInteger(body.rating) || body.rating < 1 || body.rating > 5)) {
+    return 'Rating must be an integer from 1 to 5.';
+  }
+  if ('title' in body && (typeof body.title !== 'string' || body.title.length > 120)) {
+    return 'Review title must be text of at most 120 characters.';
+  }
+  if ('body' in body && (typeof body.body !== 'string' || body.body.length > 5000)) {
+    return 'Review text must be at most 5000 characters.';
+  }
+  return null;
+};
+
+const validateCreateReviewBody = (req, res, next) => {
+  const error = getReviewBodyError(req.body || {}, { partial: false });
+  if (error) return fail(res, error);
+  return next();
+};
+
+const validateUpdateReviewBody = (req, res, next) => {
+  const error = getReviewBodyError(req.body || {}, { partial: true });
+  if (error) return fail(res, error);
+  return next();
+};
+
+const validateModerateReviewBody = (req, res, next) => {
+  const { isHidden, note } = req.body || {};
+  if (typeof isHidden !== 'boolean') return fail(res, 'isHidden must be a boolean.');
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return fail(res, 'note must be a string of at most 500 characters.');
+  }
+  return next();
+};
+
+const addressBookFields = ['label', 'fullName', 'line1', 'line2', 'city', 'region', 'postcode', 'country', 'phone', 'isDefaultShipping', 'isDefaultBilling'];
+
+// Shared address-book checks. Partial updates are validated merged with the stored address by the controller.
+const getAddressBookBodyError = (body, { partial }) => {
+  const keys = Object.keys(body);
+  if (partial && keys.length === 0) return 'At least one field is required for update.';
+  if (keys.some((key) => !addressBookFields.includes(key))) return 'Request contains unsupported address fields.';
+  if ('label' in body && (!isNonEmptyString(body.label) || body.label.length > 50)) {
+    return 'label must be a non-empty string of at most 50 characters.';
+  }
+  for (const field of ['isDefaultShipping', 'isDefaultBilling']) {
+    if (field in body && typeof body[field] !== 'boolean') return `${field} must be a boolean.`;
+  }
+  if (!partial) return getPostalAddressError(body);
+  return null;
+};
+
+const validateCreateAddressBody = (req, res, next) => {
+  const error = getAddressBookBodyError(req.body || {}, { partial: false });
+  if (error) return fail(res, error);
+  return next();
+};
+
+const validateUpdateAddressBody = (req, res, next) => {
+  const error = getAddressBookBodyError(req.body || {}, { partial: true });
+  if (error) return fail(res, error);
+  return next();
+};
+
+// Orders ship to an address-book entry (addressId), an inline structured address, or the default address.
+const getShippingChoiceError = ({ addressId, shippingAddress }) => {
+  if (addressId !== undefined && shippingAddress !== undefined) {
+    return 'Provide either addressId or shippingAddress, not both.';
+  }
+  if (addressId !== undefined && !mongoose.Types.ObjectId.isValid(addressId)) return 'Invalid addressId';
+  // Plain-text addresses were dropped because tax and shipping are priced by the structured country.
+  if (typeof shippingAddress === 'string') {
+    return 'shippingAddress must be a structured address ({ fullName, line1, line2, city, region, postcode, country, phone }); plain-text addresses are no longer accepted.';
+  }
+  if (shippingAddress !== undefined) {
+    const error = getPostalAddressError(shippingAddress);
+    if (error) return `Shipping address: ${error}`;
+  }
+  return null;
+};
+
 const validateCreateOrderBody = (req, res, next) => {
-  const { products, shippingAddress } = req.body || {};
+  const { products, couponCode } = req.body || {};
   if (!Array.isArray(products) || products.length === 0) {
     return fail(res, 'Order must contain at least one product.');
   }
-  if (!isNonEmptyString(shippingAddress)) {
-    return fail(res, 'Shipping address is required.');
+  const shippingError = getShippingChoiceError(req.body);
+  if (shippingError) return fail(res, shippingError);
+  if (couponCode !== undefined && !isNonEmptyString(couponCode)) {
+    return fail(res, 'couponCode must be a non-empty string.');
   }
 
   for (const item of products) {
@@ -101,29 +343,443 @@ const validateCreateOrderBody = (req, res, next) => {
     if (!Number.isInteger(item.quantity) || item.quantity < 1) {
       return fail(res, 'Each order item must include a valid quantity.');
     }
+    if (item.variant !== undefined && item.variant !== null && !mongoose.Types.ObjectId.isValid(item.variant)) {
+      return fail(res, 'Order item variant must be a valid id.');
+    }
   }
 
   return next();
 };
 
-const validateOrderStatusBody = (req, res, next) => {
+// Fields PUT /orders/:id may change. Status, payment, lines and prices, fulfilment and courier assignment
+// each have their own route and rules.
+const orderEditableFields = ['shippingAddress'];
+
+const validateUpdateOrderBody = (req, res, next) => {
+  const body = req.body || {};
+  const keys = Object.keys(body);
+  if (keys.length === 0) return fail(res, 'At least one field is required for update.');
+  if ('status' in body || 'statusHistory' in body) return fail(res, 'Use PUT /orders/:id/status to change the order status.');
+  if (keys.some((key) => !orderEditableFields.includes(key))) {
+    return fail(res, `Only these order fields can be updated: ${orderEditableFields.join(', ')}.`);
+  }
+  if (typeof body.shippingAddress === 'string') {
+    return fail(res, 'shippingAddress must be a structured address; plain-text addresses are no longer accepted.');
+  }
+  const error = getPostalAddressError(body.shippingAddress);
+  if (error) return fail(res, `Shipping address: ${error}`);
+  return next();
+};
+
+const validateCartItemBody = (req, res, next) => {
+  const { product, variant, quantity } = req.body || {};
+  if (!product || !mongoose.Types.ObjectId.isValid(product)) {
+    return fail(res, 'A valid product id is required.');
+  }
+  if (variant !== undefined && variant !== null && !mongoose.Types.ObjectId.isValid(variant)) {
+    return fail(res, 'Invalid variant');
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return fail(res, 'Quantity must be a positive integer.');
+  }
+  return next();
+};
+
+const validateCartLineQuery = (req, res, next) => {
+  const { variant } = req.query || {};
+  if (variant !== undefined && !mongoose.Types.ObjectId.isValid(variant)) {
+    return fail(res, 'Invalid variant');
+  }
+  return next();
+};
+
+const validateCartQuantityBody = (req, res, next) => {
+  const { quantity } = req.body || {};
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return fail(res, 'Quantity must be a positive integer.');
+  }
+  return next();
+};
+
+const validateCheckoutBody = (req, res, next) => {
+  const { couponCode } = req.body || {};
+  const shippingError = getShippingChoiceError(req.body || {});
+  if (shippingError) return fail(res, shippingError);
+  if (couponCode !== undefined && !isNonEmptyString(couponCode)) {
+    return fail(res, 'couponCode must be a non-empty string.');
+  }
+  return next();
+};
+
+const validatePaymentIntentBody = (req, res, next) => {
+  const { order } = req.body || {};
+  if (!order || !mongoose.Types.ObjectId.isValid(order)) return fail(res, 'A valid order id is required.');
+  return next();
+};
+
+const validateMockPaymentEventBody = (req, res, next) => {
+  const { type, failureReason } = req.body || {};
+  const types = Object.keys(paymentEventStatuses);
+  if (!types.includes(type)) return fail(res, `type must be one of: ${types.join(', ')}.`);
+  if (failureReason !== undefined && !isNonEmptyString(failureReason)) {
+    return fail(res, 'failureReason must be a non-empty string.');
+  }
+  return next();
+};
+
+const couponFields = [
+  'code', 'description', 'type', 'value', 'minOrderValue', 'scope',
+  'startsAt', 'endsAt', 'usageLimit', 'perUserLimit', 'isActive'
+];
+
+const isValidDate = (value) => isNonEmptyString(value) && !Number.isNaN(Date.parse(value));
+
+// Shared coupon field checks. Returns an error message or null.
+const getCouponBodyError = (body, { partial }) => {
+  const keys = Object.keys(body);
+  if (partial && keys.length === 0) return 'At least one field is required for update.';
+  if (keys.some((key) => !couponFields.includes(key))) return 'Request contains unsupported coupon fields.';
+
+  if ((!partial || 'code' in body) && (!isNonEmptyString(body.code) || !/^[A-Za-z0-9_-]{3,32}$/.test(body.code.trim()))) {
+    return 'Coupon code must be 3-32 letters, digits, dashes or underscores.';
+  }
+  if ((!partial || 'type' in body) && !['percentage', 'fixed'].includes(body.type)) {
+    return 'Coupon type must be percentage or fixed.';
+  }
+  if (!partial || 'value' in body) {
+    if (typeof body.value !== 'number' || Number.isNaN(body.value) || body.value <= 0) {
+      return 'Coupon value must be a positive number.';
+    }
+    if (body.type === 'percentage' && body.value > 100) return 'Percentage coupons cannot exceed 100.';
+  }
+  if ('minOrderValue' in body && (typeof body.minOrderValue !== 'number' || body.minOrderValue < 0)) {
+    return 'minOrderValue must be a valid non-negative number.';
+  }
+  if ('scope' in body) {
+    const { categories = [], products = [] } = body.scope || {};
+    if (!Array.isArray(categories) || !categories.every(isNonEmptyString)) {
+      return 'scope.categories must be an array of category names.';
+    }
+    if (!Array.isArray(products) || !products.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return 'scope.products must be an array of product ids.';
+    }
+  }
+  for (const field of ['startsAt', 'endsAt']) {
+    if (field in body && body[field] !== null && !isValidDate(body[field])) return `${field} must be a valid date.`;
+  }
+  if (body.startsAt && body.endsAt && Date.parse(body.endsAt) <= Date.parse(body.startsAt)) {
+    return 'endsAt must be after startsAt.';
+  }
+  for (const field of ['usageLimit', 'perUserLimit']) {
+    if (field in body && body[field] !== null && (!Number.isInteger(body[field]) || body[field] < 1)) {
+      return `${field} must be a positive integer or null.`;
+    }
+  }
+  if ('isActive' in body && typeof body.isActive !== 'boolean') return 'isActive must be a boolean.';
+  return null;
+};
+
+const validateCreateCouponBody = (req, res, next) => {
+  const error = getCouponBodyError(req.body || {}, { partial: false });
+  if (error) return fail(res, error);
+  return next();
+};
+
+const validateUpdateCouponBody = (req, res, next) => {
+  const error = getCouponBodyError(req.body || {}, { partial: true });
+  if (error) return fail(res, error);
+  return next();
+};
+
+const contentRequiredFields = {
+  pages: ['slug', 'title'],
+  banners: ['title', 'imageUrl'],
+  collections: ['slug', 'title']
+};
+
+const isLinkUrl = (value) => isNonEmptyString(value) && (value.startsWith('/') || isAbsoluteHttpUrl(value));
+
+// Shared page/banner/collection field checks. Returns an error message or null.
+const getContentBodyError = (type, body, { partial }) => {
+  const contentType = getContentType(type);
+  if (!contentType) return null; // Unknown types are answered with 404 by the controller.
+
+  const keys = Object.keys(body);
+  if (partial && keys.length === 0) return 'At least one field is required for update.';
+  if (keys.some((key) => !contentType.fields.includes(key))) {
+    return `Request contains unsupported fields. Allowed: ${contentType.fields.join(', ')}.`;
+  }
+  if (!partial) {
+    const missing = contentRequiredFields[type].find((field) => body[field] === undefined);
+    if (missing) return `${missing} is required.`;
+  }
+
+  if ('slug' in body && !isValidSlug(body.slug)) {
+    return 'slug must be lowercase letters and digits separated by single hyphens (max 80 characters).';
+  }
+  if ('title' in body && !isNonEmptyString(body.title)) return 'title must be a non-empty string.';
+  for (const field of ['body', 'description']) {
+    if (field in body && typeof body[field] !== 'string') return `${field} must be a string.`;
+  }
+  if ('status' in body && !['draft', 'published'].includes(body.status)) return 'status must be draft or published.';
+  for (const field of ['publishAt', 'startsAt', 'endsAt']) {
+    if (field in body && body[field] !== null && !isValidDate(body[field])) return `${field} must be a valid date or null.`;
+  }
+  if (body.startsAt && body.endsAt && Date.parse(body.endsAt) <= Date.parse(body.startsAt)) {
+    return 'endsAt must be after startsAt.';
+  }
+  if ('imageUrl' in body && !isLinkUrl(body.imageUrl)) return 'imageUrl must be an http(s) URL or a site path.';
+  if ('linkUrl' in body && body.linkUrl !== '' && !isLinkUrl(body.linkUrl)) {
+    return 'linkUrl must be an http(s) URL or a site path.';
+  }
+  if ('placement' in body && (!isNonEmptyString(body.placement) || !/^[a-z0-9_-]{1,32}$/i.test(body.placement))) {
+    return 'placement must be 1-32 letters, digits, dashes or underscores.';
+  }
+  if ('position' in body && !Number.isInteger(body.position)) return 'position must be an integer.';
+  if ('products' in body && (!Array.isArray(body.products) || !body.products.every((id) => mongoose.Types.ObjectId.isValid(id)))) {
+    return 'products must be an array of product ids.';
+  }
+  return null;
+};
+
+const validateCreateContentBody = (req, res, next) => {
+  const error = getContentBodyError(req.params.type, req.body || {}, { partial: false });
+  if (error) return fail(res, error);
+  return next();
+};
+
+const validateUpdateContentBody = (req, res, next) => {
+  const error = getContentBodyError(req.params.type, req.body || {}, { partial: true });
+  if (error) return fail(res, error);
+  return next();
+};
+
+const validateContentRollbackBody = (req, res, next) => {
+  const { version } = req.body || {};
+  if (!Number.isInteger(version) || version < 1) return fail(res, 'version must be a positive integer.');
+  return next();
+};
+
+const validateContentListQuery = (req, res, next) => {
+  const { page, limit, status } = req.query || {};
+  const isPositiveInteger = (value) => /^\d+$/.test(String(value)) && Number(value) >= 1;
+  if (page !== undefined && !isPositiveInteger(page)) return fail(res, 'page must be a positive integer.');
+  if (limit !== undefined && !isPositiveInteger(limit)) return fail(res, 'limit must be a positive integer.');
+  if (status !== undefined && !['draft', 'published'].includes(status)) return fail(res, 'status must be draft or published.');
+  return next();
+};
+
+const validateAuditQuery = (req, res, next) => {
+  const { actor, targetId, from, to } = req.query || {};
+  if (actor !== undefined && !mongoose.Types.ObjectId.isValid(actor)) return fail(res, 'Invalid actor');
+  if (targetId !== undefined && !mongoose.Types.ObjectId.isValid(targetId)) return fail(res, 'Invalid targetId');
+  if (from !== undefined && !isValidDate(from)) return fail(res, 'from must be a valid date.');
+  if (to !== undefined && !isValidDate(to)) return fail(res, 'to must be a valid date.');
+  return next();
+};
+
+const validateAssignCourierBody = (req, res, next) => {
+  const { courier } = req.body || {};
+  if (courier === undefined) return fail(res, 'courier is required (use null to unassign).');
+  if (courier !== null && !mongoose.Types.ObjectId.isValid(courier)) return fail(res, 'Invalid courier');
+  return next();
+};
+
+const validateCreateTicketBody = (req, res, next) => {
+  const { subject, message, order } = req.body || {};
+  if (!isNonEmptyString(subject) || subject.length > 200) return fail(res, 'subject is required (max 200 characters).');
+  if (!isNonEmptyString(message) || message.length > 5000) return fail(res, 'message is required (max 5000 characters).');
+  if (order !== undefined && order !== null && !mongoose.Types.ObjectId.isValid(order)) return fail(res, 'Invalid order');
+  return next();
+};
+
+const validateTicketMessageBody = (req, res, next) => {
+  const { body, internal } = req.body || {};
+  if (!isNonEmptyString(body) || body.length > 5000) return fail(res, 'body is required (max 5000 characters).');
+  if (internal !== undefined && typeof internal !== 'boolean') return fail(res, 'internal must be a boolean.');
+  return next();
+};
+
+const validateTicketStatusBody = (req, res, next) => {
   const { status } = req.body || {};
-  const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-  if (!validStatuses.includes(status)) {
+  if (!ticketStatuses.includes(status)) return fail(res, `status must be one of: ${ticketStatuses.join(', ')}.`);
+  return next();
+};
+
+const validateTicketPriorityBody = (req, res, next) => {
+  const { priority } = req.body || {};
+  if (!ticketPriorities.includes(priority)) return fail(res, `priority must be one of: ${ticketPriorities.join(', ')}.`);
+  return next();
+};
+
+const validateTicketAssignmentBody = (req, res, next) => {
+  const { assignee } = req.body || {};
+  if (assignee === undefined) return fail(res, 'assignee is required (use null to unassign).');
+  if (assignee !== null && !mongoose.Types.ObjectId.isValid(assignee)) return fail(res, 'Invalid assignee');
+  return next();
+};
+
+const validateTicketListQuery = (req, res, next) => {
+  const { page, limit, status, priority, assignee, order } = req.query || {};
+  const isPositiveInteger = (value) => /^\d+$/.test(String(value)) && Number(value) >= 1;
+  if (page !== undefined && !isPositiveInteger(page)) return fail(res, 'page must be a positive integer.');
+  if (limit !== undefined && !isPositiveInteger(limit)) return fail(res, 'limit must be a positive integer.');
+  if (status !== undefined && !ticketStatuses.includes(status)) return fail(res, 'Invalid status value.');
+  if (priority !== undefined && !ticketPriorities.includes(priority)) return fail(res, 'Invalid priority value.');
+  if (assignee !== undefined && !['me', 'none'].includes(assignee) && !mongoose.Types.ObjectId.isValid(assignee)) {
+    return fail(res, 'assignee must be a user id, "me" or "none".');
+  }
+  if (order !== undefined && !mongoose.Types.ObjectId.isValid(order)) return fail(res, 'Invalid order');
+  return next();
+};
+
+const validateOrderStatusQuery = (req, res, next) => {
+  const { status } = req.query || {};
+  if (status !== undefined && !orderStatuses.includes(status)) return fail(res, 'Invalid status value.');
+  return next();
+};
+
+const validateFulfillmentStatusBody = (req, res, next) => {
+  const { status, note, trackingNumber } = req.body || {};
+  if (!fulfillmentStatuses.includes(status)) return fail(res, 'Invalid status value.');
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return fail(res, 'note must be a string of at most 500 characters.');
+  }
+  if (trackingNumber !== undefined && (!isNonEmptyString(trackingNumber) || trackingNumber.length > 100)) {
+    return fail(res, 'trackingNumber must be a non-empty string of at most 100 characters.');
+  }
+  return next();
+};
+
+const isValidTimezone = (value) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const validateAnalyticsQuery = (req, res, next) => {
+  const { from, to, interval, timezone, by, limit } = req.query || {};
+  if (from !== undefined && !isValidDate(from)) return fail(res, 'from must be a valid date.');
+  if (to !== undefined && !isValidDate(to)) return fail(res, 'to must be a valid date.');
+  if (from !== undefined && to !== undefined && Date.parse(from) > Date.parse(to)) {
+    return fail(res, 'from cannot be after to.');
+  }
+  if (interval !== undefined && !['day', 'week', 'month'].includes(interval)) {
+    return fail(res, 'interval must be one of: day, week, month.');
+  }
+  if (timezone !== undefined && (!isNonEmptyString(timezone) || !isValidTimezone(timezone))) {
+    return fail(res, 'timezone must be a valid IANA time zone.');
+  }
+  if (by !== undefined && !['units', 'revenue'].includes(by)) return fail(res, 'by must be units or revenue.');
+  if (limit !== undefined && (!/^\d+$/.test(String(limit)) || Number(limit) < 1 || Number(limit) > 100)) {
+    return fail(res, 'limit must be an integer from 1 to 100.');
+  }
+  return next();
+};
+
+const isPermissionName = (value) => typeof value === 'string' && /^[a-z][a-z_]{1,63}$/.test(value);
+
+const isPermissionList = (value) => Array.isArray(value) && value.every(isPermissionName);
+
+const validateCreateRoleBody = (req, res, next) => {
+  const { name, rank, permissions, description } = req.body || {};
+  if (!isNonEmptyString(name) || !/^[a-z][a-z0-9_]{1,31}$/.test(name.trim().toLowerCase())) {
+    return fail(res, 'Role name must be 2-32 lowercase letters, digits or underscores.');
+  }
+  if (!Number.isInteger(rank) || rank < 1) return fail(res, 'Role rank must be a positive integer.');
+  if (!isPermissionList(permissions)) return fail(res, 'permissions must be an array of permission names.');
+  if (description !== undefined && typeof description !== 'string') return fail(res, 'description must be a string.');
+  return next();
+};
+
+const validateUpdateRoleBody = (req, res, next) => {
+  const allowed = ['rank', 'permissions', 'description'];
+  const keys = Object.keys(req.body || {});
+  if (keys.length === 0) return fail(res, 'At least one field is required for update.');
+  if (keys.some((key) => !allowed.includes(key))) return fail(res, 'Request contains unsupported role fields.');
+  const { rank, permissions, description } = req.body;
+  if (rank !== undefined && (!Number.isInteger(rank) || rank < 1)) return fail(res, 'Role rank must be a positive integer.');
+  if (permissions !== undefined && !isPermissionList(permissions)) {
+    return fail(res, 'permissions must be an array of permission names.');
+  }
+  if (description !== undefined && typeof description !== 'string') return fail(res, 'description must be a string.');
+  return next();
+};
+
+const validateUserPermissionsBody = (req, res, next) => {
+  const { grants, denials } = req.body || {};
+  if (grants === undefined && denials === undefined) return fail(res, 'grants or denials is required.');
+  if (grants !== undefined && !isPermissionList(grants)) return fail(res, 'grants must be an array of permission names.');
+  if (denials !== undefined && !isPermissionList(denials)) return fail(res, 'denials must be an array of permission names.');
+  return next();
+};
+
+const validateOrderStatusBody = (req, res, next) => {
+  const { status, note } = req.body || {};
+  if (!orderStatuses.includes(status)) {
     return fail(res, 'Invalid status value.');
   }
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return fail(res, 'note must be a string of at most 500 characters.');
+  }
   return next();
 };
 
 module.exports = {
   validateLoginBody,
+  validateRefreshTokenBody,
+  validateLogoutBody,
   validateForgotPasswordBody,
   validateResetPasswordBody,
+  validateVerifyEmailBody,
   validateCreateUserBody,
   validateUpdateUserBody,
   validatePasswordUpdateBody,
   validateCreateProductBody,
   validateUpdateProductBody,
+  validateStockAdjustmentBody,
+  validateStockMovementQuery,
+  validateProductSeoBody,
+  validateProductImageBody,
+  validateImageOrderBody,
+  validateProductListQuery,
+  validateProductExportQuery,
+  validateProductImportQuery,
+  validateCreateReviewBody,
+  validateUpdateReviewBody,
+  validateModerateReviewBody,
   validateCreateOrderBody,
+  validateUpdateOrderBody,
+  validateCreateAddressBody,
+  validateUpdateAddressBody,
+  validateCartItemBody,
+  validateCartLineQuery,
+  validateCartQuantityBody,
+  validateCheckoutBody,
+  validatePaymentIntentBody,
+  validateMockPaymentEventBody,
+  validateCreateCouponBody,
+  validateUpdateCouponBody,
+  validateCreateContentBody,
+  validateUpdateContentBody,
+  validateContentRollbackBody,
+  validateContentListQuery,
+  validateAuditQuery,
+  validateAnalyticsQuery,
+  validateCreateRoleBody,
+  validateUpdateRoleBody,
+  validateUserPermissionsBody,
+  validateAssignCourierBody,
+  validateOrderStatusQuery,
+  validateCreateTicketBody,
+  validateTicketMessageBody,
+  validateTicketStatusBody,
+  validateTicketPriorityBody,
+  validateTicketAssignmentBody,
+  validateTicketListQuery,
+  validateFulfillmentStatusBody,
   validateOrderStatusBody
 };
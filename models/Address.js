@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { postalAddressFields } = require('./postalAddressSchema');
+
+// One entry of a user's address book.
+const addressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Name shown in the address book, e.g. "Home" or "Office".
+  label: {
+    type: String,
+    trim: true,
+    default: 'Address'
+  },
+  ...postalAddressFields,
+  isDefaultShipping: {
+    type: Boolean,
+    default: false
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+addressSchema.index({ user: 1, createdAt: -1 });
+// At most one default shipping and one default billing address per user.
+addressSchema.index({ user: 1, isDefaultShipping: 1 }, { unique: true, partialFilterExpression: { isDefaultShipping: true } });
+addressSchema.index({ user: 1, isDefaultBilling: 1 }, { unique: true, partialFilterExpression: { isDefaultBilling: true } });
+
+module.exports = mongoose.model('Address', addressSchema);
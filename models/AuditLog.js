@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Append-only record of privileged mutations.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String
+  },
+  // Dotted action name, e.g. "user.update" or "order.delete".
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Only the fields that changed, before and after the mutation.
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  ip: {
+    type: String
+  },
+  requestId: {
+    type: String
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
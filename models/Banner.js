@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A promotional banner shown in a storefront placement between startsAt and endsAt.
+const bannerSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  imageUrl: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  linkUrl: {
+    type: String,
+    trim: true
+  },
+  // Storefront slot, e.g. "home" or "checkout".
+  placement: {
+    type: String,
+    default: 'home',
+    lowercase: true,
+    trim: true
+  },
+  // Lower positions are shown first.
+  position: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+bannerSchema.index({ placement: 1, status: 1, position: 1 });
+
+module.exports = mongoose.model('Banner', bannerSchema);
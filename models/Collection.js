@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A curated, ordered list of products such as "Summer picks".
+const collectionSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Order of collections on the home page; lower first.
+  position: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+collectionSchema.index({ status: 1, position: 1 });
+
+module.exports = mongoose.model('Collection', collectionSchema);
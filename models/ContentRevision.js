@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a page, banner or collection's editable fields after each write.
+const contentRevisionSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    enum: ['Page', 'Banner', 'Collection'],
+    required: true
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Set when this revision restored an earlier one.
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+contentRevisionSchema.index({ contentType: 1, contentId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ContentRevision', contentRevisionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent off (0-100) for percentage coupons, currency amount for fixed coupons.
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Empty scope means the coupon applies to every line of the order.
+  scope: {
+    categories: [{ type: String, trim: true }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  // null means unlimited.
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Rendered email waiting to be sent (or already sent).
+// Messages stay pending across mail outages and are retried with backoff by utils/mailer.js.
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  // Body with one-time links; removed once the message is sent or has failed for good (see utils/mailer.js).
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A worker owns a 'sending' message until then; after that it can be picked up again.
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+// Sent and failed messages (without their body) are kept for a week.
+emailOutboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+emailOutboxSchema.index({ failedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
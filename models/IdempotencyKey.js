@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A client-supplied Idempotency-Key and the response of the request that first used it.
+const idempotencyKeySchema = new mongoose.Schema({
+  // "user:<id>" for authenticated requests, "anonymous:<client ip>" otherwise.
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Keyed hash of method, path and body; a key may only be replayed for the same request.
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  // An in-progress request not finished by then (e.g. the process died) can be taken over by a retry.
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
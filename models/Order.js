@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { orderStatuses, fulfillmentStatuses } = require('../config/orderStatusConfig');
+const { paymentStatuses } = require('../config/paymentConfig');
+const { getPostalAddressError } = require('../utils/addresses');
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -12,6 +15,23 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Variant subdocument id, with a snapshot of its SKU and attributes.
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    sku: {
+      type: String
+    },
+    attributes: {
+      type: Map,
+      of: String
+    },
+    // Snapshot of the product owner at order time; decides the fulfilment group.
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     quantity: {
       type: Number,
       required: true,
@@ -20,21 +40,211 @@ const orderSchema = new mongoose.Schema({
     price: {
       type: Number,
       required: true
+    },
+    // Line breakdown at order time: price * quantity, coupon share, tax and what the customer pays.
+    subtotal: {
+      type: Number
+    },
+    discountAmount: {
+      type: Number,
+      default: 0
+    },
+    taxRate: {
+      type: Number,
+      default: 0
+    },
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number
     }
   }],
+  // With tax-inclusive prices the line tax is already part of subtotal; otherwise it is added on top.
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  // Sum of line prices before discounts.
+  subtotal: {
+    type: Number
+  },
+  discount: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: {
+      type: String
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed']
+    },
+    value: {
+      type: Number
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    lines: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      amount: {
+        type: Number
+      }
+    }]
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  shipping: {
+    // Name of the shipping rule that priced the order.
+    method: {
+      type: String
+    },
+    type: {
+      type: String,
+      enum: ['flat', 'weight', 'quantity']
+    },
+    // Total shipping weight in kg.
+    weight: {
+      type: Number
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Grand total: line totals plus shipping.
   totalAmount: {
     type: Number,
     required: true
   },
+  // Current payment intent and its status, updated by provider webhooks.
+  payment: {
+    status: {
+      type: String,
+      enum: paymentStatuses,
+      default: 'pending'
+    },
+    provider: {
+      type: String
+    },
+    // Provider intent id.
+    reference: {
+      type: String
+    },
+    amount: {
+      type: Number
+    },
+    currency: {
+      type: String
+    },
+    failureReason: {
+      type: String
+    },
+    paidAt: {
+      type: Date
+    },
+    refundedAt: {
+      type: Date
+    }
+  },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: orderStatuses,
     default: 'pending'
   },
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: [...orderStatuses, null],
+      default: null
+    },
+    to: {
+      type: String,
+      enum: orderStatuses,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    // Payment status set by this change: cancelling a paid order makes its refund due.
+    paymentStatus: {
+      type: String,
+      enum: paymentStatuses
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // One fulfilment group per vendor so each vendor can ship independently.
+  fulfillments: [{
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: fulfillmentStatuses,
+      default: 'pending'
+    },
+    trackingNumber: {
+      type: String,
+      trim: true
+    },
+    history: [{
+      from: { type: String, enum: fulfillmentStatuses },
+      to: { type: String, enum: fulfillmentStatuses },
+      changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      note: { type: String, trim: true },
+      changedAt: { type: Date, default: Date.now }
+    }]
+  }],
+  // Delivery staff member responsible for this order.
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  restockedAt: {
+    type: Date,
+    default: null
+  },
+  // Snapshot of a structured postal address (see postalAddressSchema).
+  // Orders placed before structured addresses hold a plain string, which stays readable.
   shippingAddress: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    validate: {
+      validator: (value) => (typeof value === 'string' ? value.trim().length > 0 : !getPostalAddressError(value)),
+      message: (props) => (typeof props.value === 'string' ? 'Shipping address is required.' : getPostalAddressError(props.value))
+    }
   }
 }, { timestamps: true });
 
+orderSchema.index({ assignedTo: 1, status: 1 });
+orderSchema.index({ 'payment.provider': 1, 'payment.reference': 1 });
+orderSchema.index({ 'fulfillments.vendor': 1, createdAt: -1 });
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A CMS page such as "about-us" or "shipping-policy".
+const pageSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Rich text (HTML or Markdown) as authored; storefronts sanitise it when rendering.
+  body: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  // Published pages go live at publishAt (immediately when unset).
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // Incremented on every write; matches the latest ContentRevision.
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+pageSchema.index({ status: 1, publishAt: 1 });
+
+module.exports = mongoose.model('Page', pageSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One processed payment provider webhook event. The unique event id makes redelivery a no-op.
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  reference: {
+    type: String
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // False when the event did not change the order (unknown reference or out-of-order status).
+  applied: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String
+  }
+}, { timestamps: true });
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
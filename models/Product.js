@@ -1,4 +1,93 @@
 const mongoose = require('mongoose');
+const { isSlugTaken, generateUniqueSlug } = require('../utils/slugs');
+const { defaultLowStockThreshold } = require('../config/inventoryConfig');
+
+// A purchasable variant (SKU) of a product, e.g. one size/colour combination.
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Option attributes such as { size: 'M', colour: 'Red' }.
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set.
+  price: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Overrides the product shipping weight when set.
+  weight: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// An uploaded product image. Files live in media storage under `key`.
+const imageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: 250,
+    default: ''
+  },
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+// Search engine metadata, edited through the dedicated SEO route.
+const seoSchema = new mongoose.Schema({
+  metaTitle: {
+    type: String,
+    trim: true,
+    maxlength: 70
+  },
+  metaDescription: {
+    type: String,
+    trim: true,
+    maxlength: 160
+  },
+  canonicalUrl: {
+    type: String,
+    trim: true
+  },
+  keywords: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -11,6 +100,16 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Public URL key, generated from the name on create and changed only through the SEO route.
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  seo: {
+    type: seoSchema,
+    default: () => ({})
+  },
   description: {
     type: String,
     trim: true
@@ -19,14 +118,47 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Changed only through orders, imports and POST /products/:id/stock, each recorded as a StockMovement.
   stock: {
     type: Number,
     default: 0,
     min: 0
   },
+  // The product (or any of its variants) is reported as low on stock below this level.
+  lowStockThreshold: {
+    type: Number,
+    min: 0,
+    default: defaultLowStockThreshold
+  },
+  // URL of the primary uploaded image (or an external URL for products without uploads).
   image: {
     type: String
   },
+  // Uploaded images in display order, managed through /products/:id/images.
+  images: {
+    type: [imageSchema],
+    default: []
+  },
+  // Shipping weight in kg per unit, used by weight-based shipping rules.
+  weight: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Products with variants are sold and stocked per variant.
+  variants: {
+    type: [variantSchema],
+    default: []
+  },
+  // Aggregated from visible reviews, kept up to date on every review write.
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -39,4 +171,64 @@ const productSchema = new mongoose.Schema({
   
 }, { timestamps: true });
 
+// Indexes backing catalog filtering, sorting and full-text search.
+productSchema.index({ name: 'text', description: 'text' });
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ createdBy: 1 });
+productSchema.index(
+  { slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: 'string' } } }
+);
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// SKUs must also be unique inside one product (the index only spans documents).
+productSchema.pre('validate', function () {
+  const skus = this.variants.map((variant) => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Variant SKUs must be unique within a product');
+  }
+});
+
+// Generate a slug for new products and keep explicit slugs clear of other products and their redirects.
+productSchema.pre('validate', async function () {
+  const session = this.$session();
+  if (!this.slug) {
+    this.slug = await generateUniqueSlug(this.constructor, this.name, this._id, session);
+  } else if (this.isModified('slug') && await isSlugTaken(this.constructor, this.slug, this._id, session)) {
+    this.invalidate('slug', 'Slug is already in use');
+  }
+});
+
+// Give slugs to products created before slugs existed.
+productSchema.statics.backfillSlugs = async function () {
+  const products = await this.find({ slug: { $exists: false } }).select('name');
+  for (const product of products) {
+    const slug = await generateUniqueSlug(this, product.name, product._id);
+    await this.updateOne({ _id: product._id, slug: { $exists: false } }, { $set: { slug } });
+  }
+  return products.length;
+};
+
+// Price a line: variant override first, product price otherwise.
+productSchema.methods.getUnitPrice = function (variant) {
+  return variant && variant.price !== null && variant.price !== undefined ? variant.price : this.price;
+};
+
+// Keep exactly one primary image when there are images, and mirror its URL into `image`.
+productSchema.methods.syncPrimaryImage = function () {
+  if (this.images.length === 0) return;
+  let primary = this.images.find((image) => image.isPrimary);
+  if (!primary) primary = this.images[0];
+  for (const image of this.images) image.isPrimary = image === primary;
+  this.image = primary.url;
+};
+
+// Shipping weight of one unit: variant override first, product weight otherwise.
+productSchema.methods.getUnitWeight = function (variant) {
+  return variant && variant.weight !== null && variant.weight !== undefined ? variant.weight : this.weight;
+};
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Request counter for one rate-limit key (e.g. "login:203.0.113.7") in its current window.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Counters disappear once their window has passed.
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
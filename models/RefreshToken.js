@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Rotating refresh tokens. Only a SHA-256 hash of the raw token is stored.
+// All tokens rotated from the same login share a `family` (the session id).
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  createdByIp: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Let MongoDB purge expired tokens automatically.
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
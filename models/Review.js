@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    trim: true
+  },
+  // Moderation: hidden reviews are excluded from public listings and rating aggregates.
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  moderationNote: {
+    type: String,
+    trim: true
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// One review per user per product.
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, isHidden: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Runtime-manageable role. Seeded from config/rolesConfig.js on first start.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_]{1,31}$/
+  },
+  // Higher value means higher authority.
+  rank: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  description: {
+    type: String,
+    trim: true
+  },
+  // Config permissions last applied by the seeder, so permissions newly added to
+  // config/rolesConfig.js reach existing databases without undoing runtime removals.
+  seededPermissions: [{
+    type: String
+  }],
+  // Seeded roles cannot be deleted.
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Role', roleSchema);
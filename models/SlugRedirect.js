@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A retired product slug that still resolves to its product.
+const slugRedirectSchema = new mongoose.Schema({
+  fromSlug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('SlugRedirect', slugRedirectSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { stockMovementTypes } = require('../config/inventoryConfig');
+
+// One change to the stock of a product or one of its variants. Written in the same
+// transaction as the change itself, so the movements of a bucket add up to its stock.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set for variant stock; null for the product's own stock.
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: stockMovementTypes,
+    required: true
+  },
+  // Signed change: negative when stock leaves, positive when it comes back in.
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Stock of the bucket right after this movement.
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Order behind sales, cancellations and returns.
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 }, { partialFilterExpression: { order: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
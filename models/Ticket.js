@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { ticketStatuses, ticketPriorities } = require('../config/ticketConfig');
+
+// One entry in a ticket thread. Internal notes are visible to support staff only.
+const ticketMessageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isStaff: {
+    type: Boolean,
+    default: false
+  },
+  isInternal: {
+    type: Boolean,
+    default: false
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const ticketSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Optional order the ticket is about; always one of the customer's orders.
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ticketStatuses,
+    default: 'open'
+  },
+  priority: {
+    type: String,
+    enum: ticketPriorities,
+    default: 'normal'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  messages: {
+    type: [ticketMessageSchema],
+    default: []
+  },
+  // SLA timestamps; due dates follow the priority's targets from config/ticketConfig.js.
+  firstResponseDueAt: {
+    type: Date
+  },
+  resolutionDueAt: {
+    type: Date
+  },
+  firstResponseAt: {
+    type: Date,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+ticketSchema.index({ customer: 1, createdAt: -1 });
+ticketSchema.index({ status: 1, priority: 1, lastActivityAt: -1 });
+ticketSchema.index({ assignedTo: 1, status: 1 });
+ticketSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Ticket', ticketSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcryptjs = require('bcryptjs');
+const { getRoleConfig } = require('../utils/rbac');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -19,29 +20,57 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Any role defined in the roles collection (seeded from config/rolesConfig.js).
   role: {
     type: String,
-    enum: [
-      'user',      // Regular customer.
-      'support',   // Support team member.
-      'delivery',  // Delivery staff.
-      'vendor',    // Third-party seller.
-      'marketing', // Marketing team.
-      'sales',     // Sales team.
-      'manager',   // Operations manager.
-      'editor',    // Content editor.
-      'admin',     // Administrator.
-      'superuser', // Senior administrator.
-      'root'       // Highest privilege.
-    ],
-    default: 'user'
+    default: 'user',
+    validate: {
+      validator: (value) => Boolean(getRoleConfig(value)),
+      message: (props) => `Unknown role '${props.value}'`
+    }
   },
+  // Per-user overrides on top of the role: grants add permissions, denials remove them.
+  permissionGrants: [{
+    type: String,
+    trim: true
+  }],
+  permissionDenials: [{
+    type: String,
+    trim: true
+  }],
   phone: {
     type: String
   },
   address: {
     type: String
   },
+  // Set once the user confirms their address; ordering requires it.
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Bumped to invalidate every issued access token (logout everywhere, password or role change).
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Brute-force protection; see utils/loginProtection.js.
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -60,4 +89,10 @@ userSchema.pre('save', async function () {
   }
 });
 
+// Accounts created before email verification existed are treated as verified.
+userSchema.statics.backfillEmailVerification = async function () {
+  const result = await this.updateMany({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } });
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model('User', userSchema);
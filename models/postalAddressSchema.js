@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Structured postal address fields, shared by the address book and order snapshots.
+// Format and postcode rules live in utils/addresses.js.
+const postalAddressFields = {
+  // Recipient name printed on the label.
+  fullName: { type: String, trim: true },
+  line1: { type: String, required: true, trim: true },
+  line2: { type: String, trim: true },
+  city: { type: String, required: true, trim: true },
+  region: { type: String, trim: true },
+  postcode: { type: String, trim: true, uppercase: true },
+  // ISO 3166-1 alpha-2 code, e.g. "US", "GB", "IN".
+  country: { type: String, required: true, trim: true, uppercase: true, match: /^[A-Z]{2}$/ },
+  phone: { type: String, trim: true }
+};
+
+const postalAddressSchema = new mongoose.Schema(postalAddressFields, { _id: false });
+
+module.exports = {
+  postalAddressFields,
+  postalAddressSchema
+};
@@ -10,6 +10,12 @@ const tokenSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // What the emailed token proves: a password reset request or ownership of the email address.
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    default: 'password_reset'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const addressController = require('../controllers/addressController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const validateObjectId = require('../middleware/validateObjectId');
+const { validateCreateAddressBody, validateUpdateAddressBody } = require('../middleware/validateBody');
+
+// The caller's own address book.
+router.get('/', authMiddleware, checkPermission('manage_own_profile'), addressController.getMyAddresses);
+router.post('/', authMiddleware, validateCreateAddressBody, checkPermission('manage_own_profile'), addressController.createAddress);
+router.get('/:id', authMiddleware, validateObjectId('id'), checkPermission('manage_own_profile'), addressController.getAddressById);
+router.put('/:id', authMiddleware, validateObjectId('id'), validateUpdateAddressBody, checkPermission('manage_own_profile'), addressController.updateAddress);
+router.delete('/:id', authMiddleware, validateObjectId('id'), checkPermission('manage_own_profile'), addressController.deleteAddress);
+
+module.exports = router;
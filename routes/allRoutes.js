@@ -2,6 +2,15 @@ const express = require('express');
 const productRoutes = require('./productRoutes');
 const userRoutes = require('./userRoutes');
 const orderRoutes = require('./orderRoutes');
+const cartRoutes = require('./cartRoutes');
+const couponRoutes = require('./couponRoutes');
+const auditRoutes = require('./auditRoutes');
+const analyticsRoutes = require('./analyticsRoutes');
+const roleRoutes = require('./roleRoutes');
+const contentRoutes = require('./contentRoutes');
+const ticketRoutes = require('./ticketRoutes');
+const addressRoutes = require('./addressRoutes');
+const paymentRoutes = require('./paymentRoutes');
 
 const allRoutes = express.Router();
 
@@ -9,5 +18,14 @@ const allRoutes = express.Router();
 allRoutes.use('/products', productRoutes);
 allRoutes.use('/users', userRoutes);
 allRoutes.use('/orders', orderRoutes);
+allRoutes.use('/cart', cartRoutes);
+allRoutes.use('/coupons', couponRoutes);
+allRoutes.use('/audit', auditRoutes);
+allRoutes.use('/analytics', analyticsRoutes);
+allRoutes.use('/roles', roleRoutes);
+allRoutes.use('/content', contentRoutes);
+allRoutes.use('/tickets', ticketRoutes);
+allRoutes.use('/addresses', addressRoutes);
+allRoutes.use('/payments', paymentRoutes);
 
 module.exports = allRoutes;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const { validateAnalyticsQuery } = require('../middleware/validateBody');
+
+// Sales reports: global for read_revenue roles, scoped to own products for vendors.
+router.get('/summary', authMiddleware, validateAnalyticsQuery, checkPermission('read_revenue', 'read_own_orders'), analyticsController.getSummary);
+router.get('/revenue', authMiddleware, validateAnalyticsQuery, checkPermission('read_revenue', 'read_own_orders'), analyticsController.getRevenueSeries);
+router.get('/top-products', authMiddleware, validateAnalyticsQuery, checkPermission('read_revenue', 'read_own_orders'), analyticsController.getTopProducts);
+router.get('/top-categories', authMiddleware, validateAnalyticsQuery, checkPermission('read_revenue', 'read_own_orders'), analyticsController.getTopCategories);
+router.get('/customers', authMiddleware, validateAnalyticsQuery, checkPermission('read_revenue', 'read_own_orders'), analyticsController.getCustomerStats);
+
+// Cross-vendor report for read_revenue roles only.
+router.get('/vendors', authMiddleware, validateAnalyticsQuery, checkPermission('read_revenue'), analyticsController.getVendorRevenue);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const { validateAuditQuery } = require('../middleware/validateBody');
+
+// Audit trail is readable by admin-level roles only.
+router.get('/', authMiddleware, validateAuditQuery, checkPermission('read_audit_logs'), auditController.getAuditLogs);
+
+module.exports = router;
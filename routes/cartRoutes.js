@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const idempotency = require('../middleware/idempotency');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const validateObjectId = require('../middleware/validateObjectId');
+const {
+  validateCartItemBody,
+  validateCartLineQuery,
+  validateCartQuantityBody,
+  validateCheckoutBody
+} = require('../middleware/validateBody');
+
+// View and clear the authenticated user's cart.
+router.get('/', authMiddleware, checkPermission('place_orders'), cartController.getCart);
+router.delete('/', authMiddleware, checkPermission('place_orders'), cartController.clearCart);
+
+// Cart line management.
+router.post('/items', authMiddleware, validateCartItemBody, checkPermission('place_orders'), cartController.addItem);
+router.put('/items/:productId', authMiddleware, validateObjectId('productId'), validateCartLineQuery, validateCartQuantityBody, checkPermission('place_orders'), cartController.updateItemQuantity);
+router.delete('/items/:productId', authMiddleware, validateObjectId('productId'), validateCartLineQuery, checkPermission('place_orders'), cartController.removeItem);
+
+// Convert the cart into an order.
+router.post('/checkout', authMiddleware, validateCheckoutBody, checkPermission('place_orders'), requireVerifiedEmail, idempotency(), cartController.checkout);
+
+module.exports = router;
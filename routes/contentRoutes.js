@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const contentController = require('../controllers/contentController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const validateObjectId = require('../middleware/validateObjectId');
+const {
+  validateCreateContentBody,
+  validateUpdateContentBody,
+  validateContentRollbackBody,
+  validateContentListQuery
+} = require('../middleware/validateBody');
+
+// Content management for editors. `:type` is pages, banners or collections.
+// Registered before the public routes so "/manage/..." is never read as a slug.
+router.get('/manage/:type', authMiddleware, validateContentListQuery, checkPermission('update_content'), contentController.getAllContent);
+router.post('/manage/:type', authMiddleware, validateCreateContentBody, checkPermission('update_content'), contentController.createContent);
+router.get('/manage/:type/:id', authMiddleware, validateObjectId('id'), checkPermission('update_content'), contentController.getContentById);
+router.put('/manage/:type/:id', authMiddleware, validateObjectId('id'), validateUpdateContentBody, checkPermission('update_content'), contentController.updateContent);
+router.delete('/manage/:type/:id', authMiddleware, validateObjectId('id'), checkPermission('update_content'), contentController.deleteContent);
+router.get('/manage/:type/:id/revisions', authMiddleware, validateObjectId('id'), checkPermission('update_content'), contentController.getContentRevisions);
+router.post('/manage/:type/:id/rollback', authMiddleware, validateObjectId('id'), validateContentRollbackBody, checkPermission('update_content'), contentController.rollbackContent);
+
+// Public reads expose live published content only.
+router.get('/home', contentController.getHomeContent);
+router.get('/:type', contentController.getPublishedContent);
+router.get('/:type/:slug', contentController.getPublishedContentBySlug);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const validateObjectId = require('../middleware/validateObjectId');
+const { validateCreateCouponBody, validateUpdateCouponBody } = require('../middleware/validateBody');
+
+// Coupon management for marketing/manager roles.
+router.get('/', authMiddleware, checkPermission('manage_coupons'), couponController.getAllCoupons);
+router.get('/:id', authMiddleware, validateObjectId('id'), checkPermission('manage_coupons'), couponController.getCouponById);
+router.post('/', authMiddleware, validateCreateCouponBody, checkPermission('manage_coupons'), couponController.createCoupon);
+router.put('/:id', authMiddleware, validateObjectId('id'), validateUpdateCouponBody, checkPermission('manage_coupons'), couponController.updateCoupon);
+router.delete('/:id', authMiddleware, validateObjectId('id'), checkPermission('manage_coupons'), couponController.deleteCoupon);
+
+module.exports = router;
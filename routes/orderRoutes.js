@@ -1,20 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const fulfillmentController = require('../controllers/fulfillmentController');
 const authMiddleware = require('../middleware/authMiddleware');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const idempotency = require('../middleware/idempotency');
 const { checkPermission } = require('../middleware/permissionMiddleware');
 const validateObjectId = require('../middleware/validateObjectId');
-const { validateCreateOrderBody, validateOrderStatusBody } = require('../middleware/validateBody');
+const {
+  validateCreateOrderBody,
+  validateUpdateOrderBody,
+  validateOrderStatusBody,
+  validateAssignCourierBody,
+  validateOrderStatusQuery,
+  validateFulfillmentStatusBody
+} = require('../middleware/validateBody');
 
 // Read orders based on role permissions.
 router.get('/', authMiddleware, checkPermission('read_orders', 'read_assigned_orders', 'read_own_orders', 'place_orders', 'manage_orders'), orderController.getAllOrders);
-router.get('/:id', authMiddleware, validateObjectId('id'), checkPermission('read_orders', 'read_own_orders', 'place_orders', 'manage_orders'), orderController.getOrderById);
+router.get('/vendor', authMiddleware, validateOrderStatusQuery, checkPermission('read_own_orders'), fulfillmentController.getVendorOrders);
+router.get('/deliveries/mine', authMiddleware, validateOrderStatusQuery, checkPermission('read_assigned_orders'), orderController.getMyDeliveries);
+router.get('/:id/history', authMiddleware, validateObjectId('id'), checkPermission('read_orders', 'read_assigned_orders', 'read_own_orders', 'place_orders', 'manage_orders'), orderController.getOrderHistory);
+router.get('/:id', authMiddleware, validateObjectId('id'), checkPermission('read_orders', 'read_assigned_orders', 'read_own_orders', 'place_orders', 'manage_orders'), orderController.getOrderById);
 
-// Place a new order.
-router.post('/', authMiddleware, validateCreateOrderBody, checkPermission('place_orders'), orderController.createOrder);
+// Price a basket without placing it.
+router.post('/quote', authMiddleware, validateCreateOrderBody, checkPermission('place_orders'), orderController.quoteOrder);
+
+// Place a new order. Retries with the same Idempotency-Key never place a second order.
+router.post('/', authMiddleware, validateCreateOrderBody, checkPermission('place_orders'), requireVerifiedEmail, idempotency(), orderController.createOrder);
 
 // Full update and status-only update are separated for better control.
-router.put('/:id', authMiddleware, validateObjectId('id'), checkPermission('manage_orders'), orderController.updateOrder);
+router.put('/:id', authMiddleware, validateObjectId('id'), validateUpdateOrderBody, checkPermission('manage_orders'), orderController.updateOrder);
+router.put('/:id/assignment', authMiddleware, validateObjectId('id'), validateAssignCourierBody, checkPermission('assign_deliveries'), orderController.assignCourier);
+router.put('/:id/fulfillments/:fulfillmentId/status', authMiddleware, validateObjectId('id'), validateObjectId('fulfillmentId'), validateFulfillmentStatusBody, checkPermission('fulfill_own_orders', 'manage_orders'), fulfillmentController.updateFulfillmentStatus);
 router.put('/:id/status', authMiddleware, validateObjectId('id'), validateOrderStatusBody, checkPermission('update_order_status', 'manage_orders'), orderController.updateOrderStatus);
 
 // Delete allowed by permission rules (manage orders or own order flow).
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const authMiddleware = require('../middleware/authMiddleware');
+const idempotency = require('../middleware/idempotency');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const { validatePaymentIntentBody, validateMockPaymentEventBody } = require('../middleware/validateBody');
+
+// Pay for one of the caller's orders.
+router.post('/intents', authMiddleware, validatePaymentIntentBody, checkPermission('place_orders'), idempotency(), paymentController.createPaymentIntent);
+
+// Provider callbacks, authenticated by their signature.
+router.post('/webhook', paymentController.handleWebhook);
+
+// Mock provider only: simulate the provider settling an intent.
+// It marks orders paid without any money moving, so it only exists when PAYMENT_MOCK_EVENTS=true.
+if (process.env.PAYMENT_MOCK_EVENTS === 'true') {
+  router.post('/mock/:reference/events', authMiddleware, validateMockPaymentEventBody, checkPermission('manage_orders'), paymentController.sendMockPaymentEvent);
+}
+
+module.exports = router;
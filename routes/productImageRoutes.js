@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const productImageController = require('../controllers/productImageController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const validateObjectId = require('../middleware/validateObjectId');
+const uploadImages = require('../middleware/uploadImages');
+const {
+  validateProductImageBody,
+  validateImageOrderBody
+} = require('../middleware/validateBody');
+
+// Mounted at /products/:id/images. Product owners and product managers only.
+
+// Multipart upload; the permission check runs before any file is read.
+router.post('/', authMiddleware, validateObjectId('id'), checkPermission('manage_products', 'manage_own_products'), uploadImages, productImageController.uploadProductImages);
+
+// Reorder, edit alt text or primary flag, and delete.
+router.put('/order', authMiddleware, validateObjectId('id'), validateImageOrderBody, checkPermission('manage_products', 'manage_own_products'), productImageController.reorderProductImages);
+router.patch('/:imageId', authMiddleware, validateObjectId('id'), validateObjectId('imageId'), validateProductImageBody, checkPermission('manage_products', 'manage_own_products'), productImageController.updateProductImage);
+router.delete('/:imageId', authMiddleware, validateObjectId('id'), validateObjectId('imageId'), checkPermission('manage_products', 'manage_own_products'), productImageController.deleteProductImage);
+
+module.exports = router;
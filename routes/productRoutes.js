@@ -1,20 +1,56 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const inventoryController = require('../controllers/inventoryController');
+const reviewRoutes = require('./reviewRoutes');
+const productImageRoutes = require('./productImageRoutes');
 const authMiddleware = require('../middleware/authMiddleware');
 const { checkPermission } = require('../middleware/permissionMiddleware');
 const validateObjectId = require('../middleware/validateObjectId');
-const { validateCreateProductBody, validateUpdateProductBody } = require('../middleware/validateBody');
+const importBodyParsers = require('../middleware/importBodyParsers');
+const {
+  validateCreateProductBody,
+  validateUpdateProductBody,
+  validateStockAdjustmentBody,
+  validateStockMovementQuery,
+  validateProductSeoBody,
+  validateProductListQuery,
+  validateProductExportQuery,
+  validateProductImportQuery
+} = require('../middleware/validateBody');
 
 // Public product listing endpoints.
-router.get('/', productController.getAllProducts);
+router.get('/', validateProductListQuery, productController.getAllProducts);
+router.get('/sitemap.xml', productController.getSitemap);
+router.get('/slug/:slug', productController.getProductBySlug);
+
+// Catalog export, scoped to the caller's own products unless they can read every product.
+router.get('/export', authMiddleware, validateProductExportQuery, checkPermission('manage_products', 'manage_own_products', 'read_products'), productController.exportProducts);
+// Products below their low-stock threshold, for product managers and the owning vendor.
+router.get('/low-stock', authMiddleware, checkPermission('manage_products', 'manage_own_products'), inventoryController.getLowStockReport);
 router.get('/:id', validateObjectId('id'), productController.getProductById);
 
 // Create product for roles with product creation/management permissions.
 router.post('/', authMiddleware, validateCreateProductBody, checkPermission('manage_products', 'create_product'), productController.createProduct);
 
+// Bulk import from a CSV (text/csv) or JSON upload; vendors import into their own catalog.
+router.post('/import', authMiddleware, importBodyParsers, validateProductImportQuery, checkPermission('manage_products', 'create_product'), productController.importProducts);
+
 // Update and delete based on management or ownership permissions.
 router.put('/:id', authMiddleware, validateObjectId('id'), validateUpdateProductBody, checkPermission('manage_products', 'manage_own_products'), productController.updateProduct);
 router.delete('/:id', authMiddleware, validateObjectId('id'), checkPermission('manage_products', 'manage_own_products'), productController.deleteProduct);
 
+// Stock changes go through the inventory ledger: manual adjustments and returns, and the movement history.
+router.post('/:id/stock', authMiddleware, validateObjectId('id'), validateStockAdjustmentBody, checkPermission('manage_products', 'manage_own_products'), inventoryController.adjustStock);
+router.get('/:id/stock-movements', authMiddleware, validateObjectId('id'), validateStockMovementQuery, checkPermission('manage_products', 'manage_own_products'), inventoryController.getStockMovements);
+
+// SEO metadata and slug, without access to price or stock.
+router.patch('/:id/seo', authMiddleware, validateObjectId('id'), validateProductSeoBody, checkPermission('update_seo', 'manage_products', 'manage_own_products'), productController.updateProductSeo);
+
+// Product images.
+router.use('/:id/images', productImageRoutes);
+
+// Product reviews.
+router.use('/:id/reviews', reviewRoutes);
+
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const reviewController = require('../controllers/reviewController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const validateObjectId = require('../middleware/validateObjectId');
+const {
+  validateCreateReviewBody,
+  validateUpdateReviewBody,
+  validateModerateReviewBody
+} = require('../middleware/validateBody');
+
+// Mounted at /products/:id/reviews.
+
+// Public review listing.
+router.get('/', validateObjectId('id'), reviewController.getProductReviews);
+
+// Verified buyers write and edit their own review.
+router.post('/', authMiddleware, validateObjectId('id'), validateCreateReviewBody, checkPermission('place_orders'), reviewController.createReview);
+router.put('/:reviewId', authMiddleware, validateObjectId('id'), validateObjectId('reviewId'), validateUpdateReviewBody, checkPermission('place_orders'), reviewController.updateReview);
+
+// Authors or moderators delete; moderators hide/unhide.
+router.delete('/:reviewId', authMiddleware, validateObjectId('id'), validateObjectId('reviewId'), checkPermission('place_orders', 'moderate_reviews'), reviewController.deleteReview);
+router.patch('/:reviewId/moderation', authMiddleware, validateObjectId('id'), validateObjectId('reviewId'), validateModerateReviewBody, checkPermission('moderate_reviews'), reviewController.moderateReview);
+
+module.exports = router;
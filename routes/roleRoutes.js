@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const { validateCreateRoleBody, validateUpdateRoleBody } = require('../middleware/validateBody');
+
+// Runtime role management for root/superuser.
+router.get('/', authMiddleware, checkPermission('manage_roles'), roleController.getAllRoles);
+router.get('/:name', authMiddleware, checkPermission('manage_roles'), roleController.getRoleByName);
+router.post('/', authMiddleware, validateCreateRoleBody, checkPermission('manage_roles'), roleController.createRole);
+router.put('/:name', authMiddleware, validateUpdateRoleBody, checkPermission('manage_roles'), roleController.updateRole);
+router.delete('/:name', authMiddleware, checkPermission('manage_roles'), roleController.deleteRole);
+
+module.exports = router;
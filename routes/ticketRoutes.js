@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const ticketController = require('../controllers/ticketController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+const validateObjectId = require('../middleware/validateObjectId');
+const {
+  validateCreateTicketBody,
+  validateTicketMessageBody,
+  validateTicketStatusBody,
+  validateTicketPriorityBody,
+  validateTicketAssignmentBody,
+  validateTicketListQuery
+} = require('../middleware/validateBody');
+
+// Customers open and follow their own tickets; support staff work on every ticket.
+router.get('/', authMiddleware, validateTicketListQuery, checkPermission('create_tickets', 'manage_tickets'), ticketController.getTickets);
+router.post('/', authMiddleware, validateCreateTicketBody, checkPermission('create_tickets'), ticketController.createTicket);
+router.get('/:id', authMiddleware, validateObjectId('id'), checkPermission('create_tickets', 'manage_tickets'), ticketController.getTicketById);
+router.post('/:id/messages', authMiddleware, validateObjectId('id'), validateTicketMessageBody, checkPermission('create_tickets', 'manage_tickets'), ticketController.addTicketMessage);
+router.put('/:id/status', authMiddleware, validateObjectId('id'), validateTicketStatusBody, checkPermission('create_tickets', 'manage_tickets'), ticketController.updateTicketStatus);
+
+// Staff-only triage.
+router.put('/:id/priority', authMiddleware, validateObjectId('id'), validateTicketPriorityBody, checkPermission('manage_tickets'), ticketController.updateTicketPriority);
+router.put('/:id/assignment', authMiddleware, validateObjectId('id'), validateTicketAssignmentBody, checkPermission('manage_tickets'), ticketController.assignTicket);
+
+module.exports = router;
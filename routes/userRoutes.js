@@ -4,20 +4,32 @@ const userController = require("../controllers/userController");
 const authMiddleware = require("../middleware/authMiddleware");
 const { checkPermission } = require("../middleware/permissionMiddleware"); 
 const validateObjectId = require('../middleware/validateObjectId');
+const rateLimit = require('../middleware/rateLimit');
+const idempotency = require('../middleware/idempotency');
 const {
   validateLoginBody,
+  validateRefreshTokenBody,
+  validateLogoutBody,
   validateForgotPasswordBody,
   validateResetPasswordBody,
+  validateVerifyEmailBody,
   validateCreateUserBody,
   validateUpdateUserBody,
-  validatePasswordUpdateBody
+  validatePasswordUpdateBody,
+  validateUserPermissionsBody
 } = require('../middleware/validateBody');
 
-// Public auth routes.
-router.post("/", validateCreateUserBody, userController.createUser);
-router.post("/login", validateLoginBody, userController.loginUser);
-router.post("/forgot-password", validateForgotPasswordBody, userController.forgotPassword);
+// Public auth routes (signup, login and forgot-password are rate limited per IP).
+router.post("/", rateLimit('signup'), validateCreateUserBody, idempotency(), userController.createUser);
+router.post("/login", rateLimit('login'), validateLoginBody, userController.loginUser);
+router.post("/refresh", validateRefreshTokenBody, userController.refreshToken);
+router.post("/forgot-password", rateLimit('forgotPassword'), validateForgotPasswordBody, userController.forgotPassword);
 router.post("/reset-password", validateResetPasswordBody, userController.resetPassword);
+router.post("/verify-email", rateLimit('verifyEmail'), validateVerifyEmailBody, userController.verifyEmail);
+
+// Session routes.
+router.post("/logout", authMiddleware, validateLogoutBody, userController.logoutUser);
+router.post("/resend-verification", authMiddleware, rateLimit('resendVerification'), userController.resendVerification);
 
 // Profile routes (authenticated + permission checked).
 router.get("/:id", authMiddleware, validateObjectId('id'), checkPermission('manage_own_profile', 'manage_users', 'read_users'), userController.getUserById);
@@ -27,5 +39,8 @@ router.post("/update-password/:id", authMiddleware, validateObjectId('id'), vali
 // User management routes for operational/admin roles.
 router.get("/", authMiddleware, checkPermission('manage_users', 'read_users'), userController.getAllUsers);
 router.delete("/:id", authMiddleware, validateObjectId('id'), checkPermission('manage_users'), userController.deleteUser);
+router.get("/:id/lockout", authMiddleware, validateObjectId('id'), checkPermission('manage_users'), userController.getUserLockout);
+router.delete("/:id/lockout", authMiddleware, validateObjectId('id'), checkPermission('manage_users'), userController.clearUserLockout);
+router.put("/:id/permissions", authMiddleware, validateObjectId('id'), validateUserPermissionsBody, checkPermission('manage_roles'), userController.updateUserPermissions);
 
 module.exports = router;
@@ -3,19 +3,50 @@ const express = require('express');
 const connectDB = require('./config/dbConfig');
 const dotenv = require('dotenv');
 const allRoutes = require('./routes/allRoutes');
+const requestId = require('./middleware/requestId');
+const importBodyParsers = require('./middleware/importBodyParsers');
+const { initRoles } = require('./utils/rbac');
+const Product = require('./models/Product');
+const User = require('./models/User');
+const { startOutboxWorker } = require('./utils/mailer');
+const { getMediaStorage } = require('./utils/mediaStorage');
 
 // Load environment variables
 dotenv.config();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then seed and cache roles and backfill product slugs and email verification.
+connectDB()
+  .then(initRoles)
+  .then(() => Product.backfillSlugs())
+  .then(() => User.backfillEmailVerification())
+  .catch((err) => console.error('Startup initialisation failed:', err.message));
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (hop count or proxy list) makes req.ip the client address
+// used by rate limiting and the audit log.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(express.json());
+app.use(requestId);
+// Product imports read their larger bodies first. app.post matches the path the way the routers do
+// (any case, optional trailing slash), so every spelling of the route gets the import limits.
+app.post('/api/products/import', importBodyParsers);
+// Keep the raw JSON body for payment webhook signature checks.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded media, when the storage adapter is served by this app.
+const mediaStorage = getMediaStorage();
+if (mediaStorage.middleware) app.use(mediaStorage.publicPath, mediaStorage.middleware());
+
 // Routes
 app.use('/api', allRoutes);
 
@@ -33,6 +64,7 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 
 if (require.main === module) {
+  startOutboxWorker();
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRange, orderMatchStage, lineStages, lineRevenue } = require('../utils/analytics');
+const { priceOrder } = require('../utils/pricing');
+
+const range = { from: new Date('2024-01-01T00:00:00Z'), to: new Date('2024-01-31T00:00:00Z') };
+const vendorScope = { match: { $or: [{ 'products.vendor': 'v1' }, { 'products.product': { $in: ['p1'] } }] } };
+
+test('the reporting window defaults to the last 30 days', () => {
+  const { from, to } = resolveRange({ to: '2024-02-01T00:00:00Z' });
+  assert.equal(to.toISOString(), '2024-02-01T00:00:00.000Z');
+  assert.equal(from.toISOString(), '2024-01-02T00:00:00.000Z');
+  assert.equal(resolveRange({ from: '2023-12-01' }).from.toISOString(), '2023-12-01T00:00:00.000Z');
+});
+
+test('order matching excludes cancelled orders unless asked and applies the vendor scope', () => {
+  const { $match: global } = orderMatchStage(range, null);
+  assert.deepEqual(global, { createdAt: { $gte: range.from, $lte: range.to }, status: { $ne: 'cancelled' } });
+
+  const { $match: vendor } = orderMatchStage(range, vendorScope, { includeCancelled: true });
+  assert.equal(vendor.status, undefined);
+  assert.deepEqual(vendor.$or, vendorScope.match.$or);
+});
+
+test('vendor line stages keep only the vendor lines after unwinding', () => {
+  assert.deepEqual(lineStages(null), [{ $unwind: '$products' }]);
+  assert.deepEqual(lineStages(vendorScope), [{ $unwind: '$products' }, { $match: vendorScope.match }]);
+});
+
+// Just enough of the aggregation expression language to run lineRevenue against one unwound line.
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return expression.slice(1).split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  }
+  if (!expression || typeof expression !== 'object') return expression;
+  const [[operator, args]] = Object.entries(expression);
+  const values = args.map((arg) => evaluate(arg, doc));
+  if (operator === '$ifNull') return values[0] ?? values[1];
+  if (values.some((value) => value == null)) return null;
+  if (operator === '$subtract') return values[0] - values[1];
+  if (operator === '$multiply') return values[0] * values[1];
+  throw new Error(`unsupported operator ${operator}`);
+};
+
+test('line revenue is net of the coupon share and of tax carved out of inclusive prices', () => {
+  const config = {
+    pricesIncludeTax: true,
+    taxRules: [{ country: 'GB', rate: 0.2 }],
+    shippingRules: [{ name: 'UK', type: 'flat', amount: 5 }]
+  };
+  const discount = { amount: 12, lines: [{ product: 'p1', amount: 12 }] };
+  const { lines: [line] } = priceOrder({
+    lines: [{ product: 'p1', category: 'shirts', price: 30, quantity: 2 }],
+    discount,
+    address: { country: 'GB' }
+  }, config);
+
+  // 60 list price - 12 coupon = 48 paid, of which 8 is tax.
+  assert.equal(line.total, 48);
+  assert.equal(line.taxAmount, 8);
+  assert.equal(evaluate(lineRevenue, { products: line }), 40);
+});
+
+test('lines stored before per-line pricing count price times quantity', () => {
+  assert.equal(evaluate(lineRevenue, { products: { price: 15, quantity: 3 } }), 45);
+});
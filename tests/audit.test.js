@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toAuditSnapshot, diffSnapshots } = require('../utils/audit');
+
+test('snapshots drop secrets and keep the rest as plain JSON', () => {
+  const snapshot = toAuditSnapshot({ name: 'Ann', password: 'hash', tokenVersion: 3, joinedAt: new Date('2024-01-02T00:00:00Z') });
+  assert.deepEqual(snapshot, { name: 'Ann', joinedAt: '2024-01-02T00:00:00.000Z' });
+  assert.equal(toAuditSnapshot(null), null);
+});
+
+test('diffs keep only changed top-level fields and ignore bookkeeping fields', () => {
+  const before = { _id: 'a', name: 'Ann', role: 'customer', tags: ['x'], updatedAt: '2024-01-01' };
+  const after = { _id: 'a', name: 'Ann', role: 'admin', tags: ['x', 'y'], phone: '123', updatedAt: '2024-02-01' };
+  assert.deepEqual(diffSnapshots(before, after), {
+    before: { role: 'customer', tags: ['x'], phone: null },
+    after: { role: 'admin', tags: ['x', 'y'], phone: '123' }
+  });
+});
+
+test('creations and deletions keep the whole snapshot', () => {
+  assert.deepEqual(diffSnapshots(null, { name: 'Ann' }), { before: null, after: { name: 'Ann' } });
+  assert.deepEqual(diffSnapshots({ name: 'Ann' }, null), { before: { name: 'Ann' }, after: null });
+});
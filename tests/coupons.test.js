@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeCouponDiscount } = require('../utils/coupons');
+
+const lines = [
+  { product: 'p1', category: 'shirts', price: 20, quantity: 2 },
+  { product: 'p2', category: 'shoes', price: 60, quantity: 1 }
+];
+
+test('percentage coupon discounts every line when unscoped', () => {
+  const discount = computeCouponDiscount({ type: 'percentage', value: 10, scope: {} }, lines);
+  assert.equal(discount.amount, 10);
+  assert.deepEqual(discount.lines, [
+    { product: 'p1', amount: 4 },
+    { product: 'p2', amount: 6 }
+  ]);
+});
+
+test('category scope limits the discount to matching lines', () => {
+  const discount = computeCouponDiscount({ type: 'percentage', value: 50, scope: { categories: ['shoes'] } }, lines);
+  assert.equal(discount.eligibleSubtotal, 60);
+  assert.equal(discount.amount, 30);
+  assert.deepEqual(discount.lines, [{ product: 'p2', amount: 30 }]);
+});
+
+test('fixed coupon never exceeds the eligible subtotal', () => {
+  const discount = computeCouponDiscount({ type: 'fixed', value: 500, scope: { products: ['p1'] } }, lines);
+  assert.equal(discount.amount, 40);
+});
+
+test('line shares always add up to the discount amount', () => {
+  const discount = computeCouponDiscount({ type: 'fixed', value: 10, scope: {} }, [
+    { product: 'a', category: 'x', price: 1, quantity: 1 },
+    { product: 'b', category: 'x', price: 1, quantity: 1 },
+    { product: 'c', category: 'x', price: 1, quantity: 1 }
+  ]);
+  const total = discount.lines.reduce((sum, line) => sum + line.amount, 0);
+  assert.equal(Math.round(total * 100) / 100, discount.amount);
+});
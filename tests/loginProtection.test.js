@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLockDurationMs, getLockRemainingMs } = require('../utils/loginProtection');
+const { loginLockout } = require('../config/securityConfig');
+
+const { maxFailedAttempts, baseLockMs, maxLockMs } = loginLockout;
+
+test('no lock below the failure threshold', () => {
+  assert.equal(getLockDurationMs(0), 0);
+  assert.equal(getLockDurationMs(maxFailedAttempts - 1), 0);
+});
+
+test('lock doubles with each failure past the threshold', () => {
+  assert.equal(getLockDurationMs(maxFailedAttempts), baseLockMs);
+  assert.equal(getLockDurationMs(maxFailedAttempts + 1), baseLockMs * 2);
+  assert.equal(getLockDurationMs(maxFailedAttempts + 2), baseLockMs * 4);
+});
+
+test('lock never exceeds the cap', () => {
+  assert.equal(getLockDurationMs(maxFailedAttempts + 50), maxLockMs);
+});
+
+test('remaining lock time counts down to zero', () => {
+  const now = Date.now();
+  assert.equal(getLockRemainingMs({ lockUntil: null }, now), 0);
+  assert.equal(getLockRemainingMs({ lockUntil: new Date(now + 5000) }, now), 5000);
+  assert.equal(getLockRemainingMs({ lockUntil: new Date(now - 5000) }, now), 0);
+});
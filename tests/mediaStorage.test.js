@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectImageType } = require('../utils/mediaStorage');
+
+const bytes = (...values) => Buffer.from(values);
+
+test('images are recognised by their leading bytes', () => {
+  assert.equal(detectImageType(bytes(0xff, 0xd8, 0xff, 0xe0, 0x00)), 'image/jpeg');
+  assert.equal(detectImageType(bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00)), 'image/png');
+  assert.equal(detectImageType(Buffer.from('GIF87a...')), 'image/gif');
+  assert.equal(detectImageType(Buffer.from('GIF89a...')), 'image/gif');
+});
+
+test('WebP skips the four size bytes inside the RIFF header', () => {
+  const webp = Buffer.concat([Buffer.from('RIFF'), bytes(0x24, 0x10, 0x00, 0x00), Buffer.from('WEBPVP8 ')]);
+  assert.equal(detectImageType(webp), 'image/webp');
+  const wave = Buffer.concat([Buffer.from('RIFF'), bytes(0x24, 0x10, 0x00, 0x00), Buffer.from('WAVEfmt ')]);
+  assert.equal(detectImageType(wave), null);
+});
+
+test('other or truncated content is rejected', () => {
+  assert.equal(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+  assert.equal(detectImageType(bytes(0x89, 0x50, 0x4e)), null);
+  assert.equal(detectImageType(Buffer.alloc(0)), null);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findTaxRate, computeShipping, priceOrder } = require('../utils/pricing');
+
+const taxRules = [
+  { country: 'GB', rate: 0.2 },
+  { country: 'GB', category: 'books', rate: 0 },
+  { country: 'CA', rate: 0.05 },
+  { country: 'CA', region: 'ON', rate: 0.13 }
+];
+
+const shippingRules = [
+  { name: 'UK', countries: ['GB'], type: 'weight', tiers: [{ upTo: 1, amount: 5 }, { amount: 10 }], freeOver: 100 },
+  { name: 'World', type: 'quantity', tiers: [{ upTo: 2, amount: 20 }, { amount: 30 }] }
+];
+
+const lines = [
+  { product: 'p1', category: 'shirts', weight: 0.4, price: 20, quantity: 2 },
+  { product: 'p2', category: 'books', weight: 0.5, price: 10, quantity: 1 }
+];
+
+const london = { country: 'GB', city: 'London' };
+
+test('the most specific tax rule wins', () => {
+  assert.equal(findTaxRate(london, 'shirts', taxRules), 0.2);
+  assert.equal(findTaxRate(london, 'books', taxRules), 0);
+  assert.equal(findTaxRate({ country: 'CA', region: 'ON' }, 'shirts', taxRules), 0.13);
+  assert.equal(findTaxRate({ country: 'CA', region: 'QC' }, 'shirts', taxRules), 0.05);
+  assert.equal(findTaxRate({ country: 'US' }, 'shirts', taxRules), 0);
+});
+
+test('shipping uses tiers, the fallback rule and the free-shipping threshold', () => {
+  assert.equal(computeShipping({ lines, address: london, goodsTotal: 50 }, shippingRules).amount, 10);
+  assert.equal(computeShipping({ lines, address: london, goodsTotal: 100 }, shippingRules).amount, 0);
+  const world = computeShipping({ lines, address: { country: 'US' }, goodsTotal: 50 }, shippingRules);
+  assert.equal(world.method, 'World');
+  assert.equal(world.amount, 30);
+  assert.throws(() => computeShipping({ lines, address: { country: 'US' }, goodsTotal: 50 }, [shippingRules[0]]));
+});
+
+test('exclusive prices add tax on the discounted line value', () => {
+  const discount = { amount: 10, lines: [{ product: 'p1', amount: 10 }] };
+  const priced = priceOrder({ lines, discount, address: london }, { pricesIncludeTax: false, taxRules, shippingRules });
+  assert.deepEqual(
+    priced.lines.map(({ subtotal, discountAmount, taxAmount, total }) => ({ subtotal, discountAmount, taxAmount, total })),
+    [
+      { subtotal: 40, discountAmount: 10, taxAmount: 6, total: 36 },
+      { subtotal: 10, discountAmount: 0, taxAmount: 0, total: 10 }
+    ]
+  );
+  assert.equal(priced.subtotal, 50);
+  assert.equal(priced.taxAmount, 6);
+  assert.equal(priced.shipping.amount, 10);
+  assert.equal(priced.totalAmount, 56);
+});
+
+test('inclusive prices carve tax out of the line value', () => {
+  const priced = priceOrder({ lines, discount: null, address: london }, { pricesIncludeTax: true, taxRules, shippingRules });
+  assert.equal(priced.lines[0].taxAmount, 6.67);
+  assert.equal(priced.lines[0].total, 40);
+  assert.equal(priced.totalAmount, 60);
+});
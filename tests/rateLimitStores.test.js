@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { createMemoryStore, createMongoStore } = require('../utils/rateLimitStores');
+
+test('memory store counts hits per key within the window', async () => {
+  const store = createMemoryStore();
+  const first = await store.increment('login:1.2.3.4', 60000);
+  const second = await store.increment('login:1.2.3.4', 60000);
+  const other = await store.increment('login:5.6.7.8', 60000);
+
+  assert.equal(first.count, 1);
+  assert.equal(second.count, 2);
+  assert.equal(second.resetAt.getTime(), first.resetAt.getTime());
+  assert.equal(other.count, 1);
+});
+
+test('memory store starts a new window once the old one has passed', async () => {
+  const store = createMemoryStore();
+  await store.increment('key', 1);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const next = await store.increment('key', 60000);
+  assert.equal(next.count, 1);
+});
+
+test('memory store reset clears the counter', async () => {
+  const store = createMemoryStore();
+  await store.increment('key', 60000);
+  await store.reset('key');
+  const next = await store.increment('key', 60000);
+  assert.equal(next.count, 1);
+});
+
+test('mongo store upserts the counter with one pipeline update', async (t) => {
+  const resetAt = new Date(Date.now() + 60000);
+  const update = t.mock.method(RateLimitCounter, 'findOneAndUpdate', async () => ({ count: 3, resetAt }));
+
+  const result = await createMongoStore().increment('login:1.2.3.4', 60000);
+
+  assert.deepEqual(result, { count: 3, resetAt });
+  const [filter, pipeline, options] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, { key: 'login:1.2.3.4' });
+  assert.ok(Array.isArray(pipeline));
+  assert.equal(options.upsert, true);
+});
+
+test('mongo store retries once when two first hits race on the key', async (t) => {
+  const resetAt = new Date(Date.now() + 60000);
+  let calls = 0;
+  t.mock.method(RateLimitCounter, 'findOneAndUpdate', async () => {
+    calls += 1;
+    if (calls === 1) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    return { count: 2, resetAt };
+  });
+
+  const result = await createMongoStore().increment('key', 60000);
+  assert.equal(calls, 2);
+  assert.equal(result.count, 2);
+});
+
+test('mongo store passes other errors on', async (t) => {
+  t.mock.method(RateLimitCounter, 'findOneAndUpdate', async () => {
+    throw new Error('connection lost');
+  });
+  await assert.rejects(createMongoStore().increment('key', 60000), /connection lost/);
+});
+
+test('mongo store reset deletes the counter', async (t) => {
+  const remove = t.mock.method(RateLimitCounter, 'deleteOne', async () => ({ deletedCount: 1 }));
+  await createMongoStore().reset('key');
+  assert.deepEqual(remove.mock.calls[0].arguments, [{ key: 'key' }]);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applySlaTargets, getSlaState, toTicketView } = require('../utils/tickets');
+
+const HOUR_MS = 60 * 60 * 1000;
+const openedAt = new Date('2024-03-01T09:00:00Z');
+const hoursLater = (hours) => new Date(openedAt.getTime() + hours * HOUR_MS);
+
+// Minimal stand-in for a ticket document.
+const makeTicket = (fields) => {
+  const ticket = { createdAt: openedAt, priority: 'high', ...fields };
+  ticket.toObject = () => ({ ...ticket, messages: ticket.messages && ticket.messages.map((message) => ({ ...message })) });
+  applySlaTargets(ticket);
+  return ticket;
+};
+
+test('SLA targets follow the ticket priority', () => {
+  const ticket = makeTicket({ priority: 'urgent' });
+  assert.deepEqual(ticket.firstResponseDueAt, hoursLater(1));
+  assert.deepEqual(ticket.resolutionDueAt, hoursLater(8));
+});
+
+test('SLA breaches compare the answer or resolution time with the due dates', () => {
+  const ticket = makeTicket({});
+  assert.deepEqual(getSlaState(ticket, hoursLater(2)), { firstResponseBreached: false, resolutionBreached: false });
+  assert.deepEqual(getSlaState(ticket, hoursLater(9)), { firstResponseBreached: true, resolutionBreached: false });
+
+  ticket.firstResponseAt = hoursLater(3);
+  ticket.resolvedAt = hoursLater(20);
+  assert.deepEqual(getSlaState(ticket, hoursLater(48)), { firstResponseBreached: false, resolutionBreached: false });
+
+  ticket.resolvedAt = null;
+  ticket.closedAt = hoursLater(30);
+  assert.equal(getSlaState(ticket, hoursLater(48)).resolutionBreached, true);
+});
+
+test('customers never see internal notes; support staff do', () => {
+  const ticket = makeTicket({
+    messages: [{ body: 'Where is my parcel?' }, { body: 'Courier lost it', isInternal: true }]
+  });
+
+  const customerView = toTicketView(ticket, { role: 'customer' });
+  assert.deepEqual(customerView.messages.map((message) => message.body), ['Where is my parcel?']);
+  assert.ok(customerView.sla);
+
+  assert.equal(toTicketView(ticket, { role: 'support' }).messages.length, 2);
+  assert.equal(toTicketView(ticket, { role: 'customer', permissionGrants: ['manage_tickets'] }).messages.length, 2);
+});
@@ -0,0 +1,90 @@
+const Address = require('../models/Address');
+
+const POSTAL_FIELDS = ['fullName', 'line1', 'line2', 'city', 'region', 'postcode', 'country', 'phone'];
+const MAX_FIELD_LENGTH = 200;
+
+// Postcode formats for countries we validate strictly (after upper-casing).
+// Other countries accept any short alphanumeric postcode, or none.
+const POSTCODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  IN: /^\d{6}$/,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  AU: /^\d{4}$/
+};
+const GENERIC_POSTCODE_PATTERN = /^[A-Z0-9][A-Z0-9 -]{1,9}$/;
+
+// Trim, upper-case country and postcode, and keep only known non-empty fields.
+const normalizePostalAddress = (input) => {
+  const address = {};
+  for (const field of POSTAL_FIELDS) {
+    if (typeof input[field] !== 'string') continue;
+    const value = input[field].trim();
+    if (value) address[field] = ['country', 'postcode'].includes(field) ? value.toUpperCase() : value;
+  }
+  return address;
+};
+
+// Validate a structured address (before normalisation). Returns an error message or null.
+const getPostalAddressError = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Address must be an object.';
+  for (const field of POSTAL_FIELDS) {
+    const value = input[field];
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > MAX_FIELD_LENGTH)) {
+      return `${field} must be a string of at most ${MAX_FIELD_LENGTH} characters.`;
+    }
+  }
+
+  const address = normalizePostalAddress(input);
+  if (!address.line1) return 'line1 is required.';
+  if (!address.city) return 'city is required.';
+  if (!address.country || !/^[A-Z]{2}$/.test(address.country)) return 'country must be a two-letter ISO country code.';
+
+  const pattern = POSTCODE_PATTERNS[address.country];
+  if (pattern && !address.postcode) return `postcode is required for ${address.country}.`;
+  if (address.postcode && !(pattern || GENERIC_POSTCODE_PATTERN).test(address.postcode)) {
+    return `postcode is not valid for ${address.country}.`;
+  }
+  if (address.phone && !/^\+?[0-9 ()-]{6,20}$/.test(address.phone)) return 'phone must be a valid phone number.';
+  return null;
+};
+
+// Single-line rendering. Orders placed before structured addresses store a plain string.
+const formatPostalAddress = (address) => {
+  if (!address || typeof address === 'string') return address || '';
+  return [
+    address.fullName,
+    address.line1,
+    address.line2,
+    [address.city, address.region, address.postcode].filter(Boolean).join(' '),
+    address.country
+  ].filter(Boolean).join(', ');
+};
+
+// Pick the address an order ships to: an address-book entry, an inline address, or the default shipping address.
+// Returns a plain snapshot so later address-book edits never rewrite the order.
+const resolveShippingAddress = async (userId, { addressId, shippingAddress }) => {
+  if (shippingAddress) return normalizePostalAddress(shippingAddress);
+
+  const saved = addressId
+    ? await Address.findOne({ _id: addressId, user: userId })
+    : await Address.findOne({ user: userId, isDefaultShipping: true });
+  if (!saved) {
+    throw Object.assign(
+      new Error(addressId ? 'Address not found' : 'Shipping address is required.'),
+      { statusCode: addressId ? 404 : 400 }
+    );
+  }
+  return normalizePostalAddress(saved.toObject());
+};
+
+module.exports = {
+  POSTAL_FIELDS,
+  normalizePostalAddress,
+  getPostalAddressError,
+  formatPostalAddress,
+  resolveShippingAddress
+};
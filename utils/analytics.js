@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Resolve the reporting window. Defaults to the last 30 days.
+const resolveRange = (query = {}) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  return { from, to };
+};
+
+// Reports are global for `read_revenue` roles and limited to own products for vendors.
+// Orders placed before line vendor snapshots existed are matched through product ownership.
+const resolveVendorScope = async (vendorId) => {
+  if (!vendorId) return null;
+  const id = new mongoose.Types.ObjectId(String(vendorId));
+  const ownProductIds = await Product.find({ createdBy: id }).distinct('_id');
+  // Matches orders containing the vendor's lines and, after $unwind, the lines themselves.
+  return { match: { $or: [{ 'products.vendor': id }, { 'products.product': { $in: ownProductIds } }] } };
+};
+
+// Orders in the window, optionally limited to a vendor. Cancelled orders excluded unless asked.
+const orderMatchStage = ({ from, to }, scope, { includeCancelled = false } = {}) => {
+  const match = { createdAt: { $gte: from, $lte: to } };
+  if (!includeCancelled) match.status = { $ne: 'cancelled' };
+  if (scope) Object.assign(match, scope.match);
+  return { $match: match };
+};
+
+// One document per order line, optionally limited to the vendor's lines.
+const lineStages = (scope) => [
+  { $unwind: '$products' },
+  ...(scope ? [{ $match: scope.match }] : [])
+];
+
+// Net revenue of one order line: its total after the coupon share, without tax (tax-inclusive or not).
+// Lines stored before per-line pricing have no total; their price × quantity had neither tax nor discount split out.
+const lineRevenue = {
+  $ifNull: [
+    { $subtract: ['$products.total', { $ifNull: ['$products.taxAmount', 0] }] },
+    { $multiply: ['$products.price', '$products.quantity'] }
+  ]
+};
+
+module.exports = {
+  resolveRange,
+  resolveVendorScope,
+  orderMatchStage,
+  lineStages,
+  lineRevenue
+};
@@ -0,0 +1,56 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields never copied into the audit trail (password changes are logged as their own action).
+const REDACTED_FIELDS = ['password', 'tokenVersion'];
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Turn a mongoose document or plain object into JSON-safe data without secrets.
+const toAuditSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+  for (const field of REDACTED_FIELDS) delete plain[field];
+  return plain;
+};
+
+// Keep only top-level fields whose value differs between two snapshots.
+const diffSnapshots = (before, after) => {
+  if (!before || !after) return { before, after };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key] === undefined ? null : before[key];
+      changedAfter[key] = after[key] === undefined ? null : after[key];
+    }
+  }
+  return { before: changedBefore, after: changedAfter };
+};
+
+// Record one privileged mutation.
+// `actor` defaults to the authenticated user (public flows such as signup pass it explicitly).
+// Audit failures are logged and never fail the request that triggered them.
+const recordAudit = async (req, { action, targetType, targetId, before = null, after = null, actor = req.user }) => {
+  try {
+    await AuditLog.create({
+      actor: actor ? actor._id : null,
+      actorRole: actor ? actor.role : undefined,
+      action,
+      targetType,
+      targetId,
+      changes: diffSnapshots(toAuditSnapshot(before), toAuditSnapshot(after)),
+      ip: req.ip,
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log for ${action}:`, error.message);
+  }
+};
+
+module.exports = {
+  toAuditSnapshot,
+  diffSnapshots,
+  recordAudit
+};
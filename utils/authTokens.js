@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+// A separate variable from the old JWT_EXPIRES_IN (day-long tokens), which is no longer read.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+const hashToken = (rawToken) => crypto.createHash('sha256').update(rawToken).digest('hex');
+
+const tokenError = (message) => Object.assign(new Error(message), { statusCode: 401 });
+
+// Sign a short-lived access token bound to the user's token version and session.
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, role: user.role, tv: user.tokenVersion || 0, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Create a refresh token in the given family and store only its hash.
+const createRefreshToken = async (user, family, ip) => {
+  const rawToken = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(rawToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip
+  });
+  return rawToken;
+};
+
+// Start a new session (token family) and return its token pair.
+const issueTokenPair = async (user, ip) => {
+  const family = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(user, family, ip);
+  return {
+    token: signAccessToken(user, family),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+const revokeSession = (family) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { $set: { revokedAt: new Date() } }
+);
+
+// Exchange a refresh token for a new pair.
+// Presenting an already rotated token is treated as theft and revokes the whole family.
+const rotateRefreshToken = async (rawToken, ip) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!existing) throw tokenError('Invalid refresh token');
+
+  if (existing.revokedAt) {
+    await revokeSession(existing.family);
+    throw tokenError('Refresh token reuse detected. Please log in again.');
+  }
+
+  if (existing.expiresAt <= new Date()) throw tokenError('Refresh token expired');
+
+  const user = await User.findById(existing.user);
+  if (!user) throw tokenError('User not found');
+
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const replacedByHash = hashToken(refreshToken);
+
+  // Revoke conditionally so two concurrent refreshes cannot both rotate the same token.
+  const rotated = await RefreshToken.updateOne(
+    { _id: existing._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedByHash } }
+  );
+  if (rotated.modifiedCount === 0) {
+    await revokeSession(existing.family);
+    throw tokenError('Refresh token reuse detected. Please log in again.');
+  }
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: replacedByHash,
+    family: existing.family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip
+  });
+
+  return {
+    user,
+    token: signAccessToken(user, existing.family),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// True while the session still has a usable refresh token.
+const isSessionActive = (family) => RefreshToken.exists({
+  family,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Invalidate every access and refresh token of a user.
+// Used on logout from all devices, password changes and role changes.
+const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+module.exports = {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,77 @@
+const Page = require('../models/Page');
+const Banner = require('../models/Banner');
+const Collection = require('../models/Collection');
+const ContentRevision = require('../models/ContentRevision');
+
+// Content types by URL segment. `fields` are the editor-controlled fields captured in revisions.
+const CONTENT_TYPES = {
+  pages: {
+    model: Page,
+    name: 'Page',
+    entity: 'page',
+    fields: ['slug', 'title', 'body', 'status', 'publishAt'],
+    publicSort: { title: 1 }
+  },
+  banners: {
+    model: Banner,
+    name: 'Banner',
+    entity: 'banner',
+    fields: ['title', 'imageUrl', 'linkUrl', 'placement', 'position', 'status', 'startsAt', 'endsAt'],
+    publicSort: { position: 1, createdAt: -1 }
+  },
+  collections: {
+    model: Collection,
+    name: 'Collection',
+    entity: 'collection',
+    fields: ['slug', 'title', 'description', 'products', 'position', 'status', 'publishAt'],
+    publicSort: { position: 1, title: 1 }
+  }
+};
+
+// Product fields exposed inside public collections.
+const COLLECTION_PRODUCT_FIELDS = 'name slug price image category ratingAverage ratingCount';
+
+const getContentType = (type) => (Object.prototype.hasOwnProperty.call(CONTENT_TYPES, type) ? CONTENT_TYPES[type] : null);
+
+// Filter for content visible to the public at `now`.
+// Pages and collections go live at publishAt; banners run between startsAt and endsAt.
+const buildLiveFilter = (contentType, now = new Date()) => {
+  if (contentType.name === 'Banner') {
+    return {
+      status: 'published',
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+      ]
+    };
+  }
+  return { status: 'published', $or: [{ publishAt: null }, { publishAt: { $lte: now } }] };
+};
+
+const toSnapshot = (contentType, doc) => {
+  const snapshot = {};
+  for (const field of contentType.fields) {
+    const value = doc.get(field);
+    snapshot[field] = Array.isArray(value) ? value.map(String) : (value === undefined ? null : value);
+  }
+  return snapshot;
+};
+
+// Store the document's current state as its revision `doc.version`.
+const recordRevision = (contentType, doc, user, session, restoredFrom = null) => ContentRevision.create([{
+  contentType: contentType.name,
+  contentId: doc._id,
+  version: doc.version,
+  snapshot: toSnapshot(contentType, doc),
+  restoredFrom,
+  createdBy: user._id
+}], { session });
+
+module.exports = {
+  CONTENT_TYPES,
+  COLLECTION_PRODUCT_FIELDS,
+  getContentType,
+  buildLiveFilter,
+  toSnapshot,
+  recordRevision
+};
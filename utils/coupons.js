@@ -0,0 +1,117 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const couponError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// True when an order line falls inside the coupon scope.
+const isLineInScope = (coupon, line) => {
+  const scope = coupon.scope || {};
+  const products = (scope.products || []).map(String);
+  const categories = scope.categories || [];
+  if (products.length === 0 && categories.length === 0) return true;
+  return products.includes(String(line.product)) || categories.includes(line.category);
+};
+
+// Compute the discount of a coupon over order lines ({ product, category, price, quantity }).
+// The discount is split across eligible lines in proportion to their value.
+const computeCouponDiscount = (coupon, lines) => {
+  const eligible = lines.filter((line) => isLineInScope(coupon, line));
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+  let amount = coupon.type === 'percentage'
+    ? eligibleSubtotal * (Math.min(coupon.value, 100) / 100)
+    : Math.min(coupon.value, eligibleSubtotal);
+  amount = roundMoney(amount);
+
+  let remaining = amount;
+  const lineDiscounts = eligible.map((line, index) => {
+    const lineTotal = line.price * line.quantity;
+    const share = index === eligible.length - 1
+      ? remaining
+      : roundMoney(eligibleSubtotal ? (amount * lineTotal) / eligibleSubtotal : 0);
+    remaining = roundMoney(remaining - share);
+    return { product: line.product, amount: share };
+  });
+
+  return { amount, eligibleSubtotal, lines: lineDiscounts };
+};
+
+// Load a coupon and check it against an order. Returns the coupon document and its discount.
+const findUsableCoupon = async ({ code, user, subtotal, lines, session }) => {
+  const now = new Date();
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase(), isActive: true }).session(session);
+  if (!coupon) throw couponError('Invalid coupon code');
+
+  if (coupon.startsAt && coupon.startsAt > now) throw couponError('Coupon is not active yet');
+  if (coupon.endsAt && coupon.endsAt < now) throw couponError('Coupon has expired');
+  if (subtotal < coupon.minOrderValue) {
+    throw couponError(`Coupon requires a minimum order value of ${coupon.minOrderValue}`);
+  }
+
+  const discount = computeCouponDiscount(coupon, lines);
+  if (discount.lines.length === 0) throw couponError('Coupon does not apply to any product in this order');
+
+  if (coupon.perUserLimit) {
+    const userRedemptions = await CouponRedemption.countDocuments({ coupon: coupon._id, user }).session(session);
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon the maximum number of times', 409);
+    }
+  }
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    throw couponError('Coupon usage limit has been reached', 409);
+  }
+
+  return { coupon, discount };
+};
+
+const toOrderDiscount = (coupon, discount) => ({
+  coupon: coupon._id,
+  code: coupon.code,
+  type: coupon.type,
+  value: coupon.value,
+  amount: discount.amount,
+  lines: discount.lines
+});
+
+// Check that a coupon can be used on an order and compute its discount, without reserving a use.
+const checkCoupon = async (order) => {
+  const { coupon, discount } = await findUsableCoupon(order);
+  return toOrderDiscount(coupon, discount);
+};
+
+// Validate a coupon for an order and reserve one use of it inside the caller's transaction.
+// Every redemption increments the coupon document, so concurrent redemptions conflict
+// and are retried by the transaction, which keeps the usage counts exact.
+const applyCoupon = async ({ code, user, subtotal, lines, session }) => {
+  const { coupon, discount } = await findUsableCoupon({ code, user, subtotal, lines, session });
+
+  const usageFilter = { _id: coupon._id };
+  if (coupon.usageLimit) usageFilter.usageCount = { $lt: coupon.usageLimit };
+  const reserved = await Coupon.findOneAndUpdate(
+    usageFilter,
+    { $inc: { usageCount: 1 } },
+    { returnDocument: 'after', session }
+  );
+  if (!reserved) throw couponError('Coupon usage limit has been reached', 409);
+
+  return toOrderDiscount(coupon, discount);
+};
+
+// Record which user redeemed a coupon on which order.
+const recordRedemption = ({ discount, user, order, session }) => CouponRedemption.create([{
+  coupon: discount.coupon,
+  user,
+  order,
+  discountAmount: discount.amount
+}], { session });
+
+module.exports = {
+  roundMoney,
+  isLineInScope,
+  computeCouponDiscount,
+  checkCoupon,
+  applyCoupon,
+  recordRedemption
+};
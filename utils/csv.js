@@ -0,0 +1,72 @@
+// Minimal RFC 4180 CSV support for product import and export.
+
+// Parse CSV text into an array of records (arrays of strings).
+// Handles quoted fields with commas, quotes and line breaks, CRLF line endings and a UTF-8 BOM.
+// Blank lines are skipped; each record keeps its 1-based starting line number as `record.line`.
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    field = '';
+    if (record.length > 1 || record[0] !== '') {
+      record.line = recordLine;
+      records.push(record);
+    }
+    record = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Render one CSV field. Text that looks like a formula is prefixed with a quote to keep it inert.
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  toCsvRow
+};
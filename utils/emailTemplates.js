@@ -0,0 +1,55 @@
+const { getSiteUrl } = require('./siteUrl');
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+const layout = (title, paragraphs, action) => {
+  const body = paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n');
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`
+    : '';
+  return `<!doctype html>\n<html><body>\n<h1>${escapeHtml(title)}</h1>\n${body}\n${button}\n</body></html>`;
+};
+
+// Each template returns { subject, text, html } for its data.
+const templates = {
+  passwordReset: ({ name, token, expiresInMinutes }) => {
+    const url = `${getSiteUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+    const lines = [
+      `Hi ${name},`,
+      'We received a request to reset your password.',
+      `The link below is valid for ${expiresInMinutes} minutes. If you did not ask for this, ignore this email.`
+    ];
+    return {
+      subject: 'Reset your password',
+      text: `${lines.join('\n\n')}\n\n${url}\n`,
+      html: layout('Reset your password', lines, { url, label: 'Reset password' })
+    };
+  },
+
+  verifyEmail: ({ name, token, expiresInHours }) => {
+    const url = `${getSiteUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+    const lines = [
+      `Hi ${name},`,
+      'Please confirm your email address to start placing orders.',
+      `The link below is valid for ${expiresInHours} hours.`
+    ];
+    return {
+      subject: 'Confirm your email address',
+      text: `${lines.join('\n\n')}\n\n${url}\n`,
+      html: layout('Confirm your email address', lines, { url, label: 'Confirm email' })
+    };
+  }
+};
+
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template '${name}'`);
+  return template(data);
+};
+
+module.exports = {
+  escapeHtml,
+  renderTemplate
+};
@@ -0,0 +1,114 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+// Statuses in which the order's stock is still held and can be returned.
+const RESTOCKABLE_STATUSES = ['pending', 'processing'];
+
+// SKU and current stock of a product's own stock bucket or of one of its variants.
+const getStockBucket = (product, variant) => {
+  if (!variant) return { sku: undefined, stock: product.stock };
+  const entry = product.variants.find((item) => String(item._id) === String(variant));
+  return entry ? { sku: entry.sku, stock: entry.stock } : null;
+};
+
+// Atomically take stock from a product or one of its variants.
+// Returns the updated product, or null when there is not enough stock.
+const decrementStock = ({ product, variant }, quantity, session) => {
+  if (variant) {
+    return Product.findOneAndUpdate(
+      { _id: product, variants: { $elemMatch: { _id: variant, isActive: true, stock: { $gte: quantity } } } },
+      { $inc: { 'variants.$.stock': -quantity } },
+      { returnDocument: 'after', session }
+    );
+  }
+  return Product.findOneAndUpdate(
+    { _id: product, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { returnDocument: 'after', session }
+  );
+};
+
+// Atomically change stock by a signed quantity without going below zero.
+// Unlike decrementStock, inactive variants can be adjusted too.
+// Returns the updated product, or null when the product/variant is missing or there is not enough stock.
+const changeStock = ({ product, variant }, quantity, session) => {
+  const enough = quantity < 0 ? { stock: { $gte: -quantity } } : {};
+  const filter = variant
+    ? { _id: product, variants: { $elemMatch: { _id: variant, ...enough } } }
+    : { _id: product, ...enough };
+  return Product.findOneAndUpdate(
+    filter,
+    { $inc: { [variant ? 'variants.$.stock' : 'stock']: quantity } },
+    { returnDocument: 'after', session }
+  );
+};
+
+// Record stock movements (see models/StockMovement.js) inside the caller's transaction.
+const recordStockMovements = (movements, session) => (
+  movements.length > 0 ? StockMovement.insertMany(movements, { session }) : Promise.resolve([])
+);
+
+// Change stock and record the movement in one go.
+// `movement` holds the ledger details: { type, reason?, order?, actor? }.
+// Returns the movement, or null when the change was not possible (see changeStock).
+const moveStock = async ({ product, variant = null }, quantity, movement, session) => {
+  const updated = await changeStock({ product, variant }, quantity, session);
+  if (!updated) return null;
+  const { sku, stock } = getStockBucket(updated, variant);
+  const [saved] = await recordStockMovements([{
+    product,
+    variant,
+    sku,
+    quantity,
+    stockAfter: stock,
+    ...movement
+  }], session);
+  return saved;
+};
+
+// Record the difference between two states of a product as one movement per changed bucket.
+// Used where stock is set rather than counted up or down (product creation, imports);
+// `before` is null for a new product.
+const recordStockChanges = (before, after, movement, session) => {
+  const buckets = [{ variant: null }, ...after.variants.map((variant) => ({ variant: variant._id }))];
+  const movements = [];
+  for (const { variant } of buckets) {
+    const previous = before ? getStockBucket(before, variant) : null;
+    const { sku, stock } = getStockBucket(after, variant);
+    const quantity = stock - (previous ? previous.stock : 0);
+    if (quantity !== 0) {
+      movements.push({ product: after._id, variant, sku, quantity, stockAfter: stock, ...movement });
+    }
+  }
+  return recordStockMovements(movements, session);
+};
+
+// Return every line's quantity to its product inside the caller's transaction.
+// The order is flagged with `restockedAt` first so stock is never returned twice.
+// Lines whose product or variant has since been deleted are skipped.
+// Each returned line is recorded as a cancellation movement by `actor`.
+const restockOrder = async (order, session, { actor, reason } = {}) => {
+  const flagged = await Order.updateOne(
+    { _id: order._id, restockedAt: null },
+    { $set: { restockedAt: new Date() } },
+    { session }
+  );
+  if (flagged.modifiedCount === 0) return false;
+
+  for (const item of order.products) {
+    await moveStock(item, item.quantity, { type: 'cancellation', order: order._id, actor, reason }, session);
+  }
+  return true;
+};
+
+module.exports = {
+  RESTOCKABLE_STATUSES,
+  getStockBucket,
+  decrementStock,
+  changeStock,
+  recordStockMovements,
+  moveStock,
+  recordStockChanges,
+  restockOrder
+};
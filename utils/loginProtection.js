@@ -0,0 +1,63 @@
+const bcryptjs = require('bcryptjs');
+const User = require('../models/User');
+const { loginLockout } = require('../config/securityConfig');
+
+let dummyHash = null;
+
+// Compare against a throwaway hash when the email is unknown, so both paths cost one bcrypt check.
+const compareWithoutUser = async (password) => {
+  if (!dummyHash) dummyHash = await bcryptjs.hash('no-such-user-password', 10);
+  await bcryptjs.compare(password, dummyHash);
+  return false;
+};
+
+// Milliseconds left on the account's lockout (0 when not locked).
+const getLockRemainingMs = (user, now = Date.now()) => (user.lockUntil ? Math.max(0, user.lockUntil.getTime() - now) : 0);
+
+// Lock length once the threshold is reached: base, doubling per extra failure, capped.
+const getLockDurationMs = (failedAttempts) => {
+  const { maxFailedAttempts, baseLockMs, maxLockMs } = loginLockout;
+  if (failedAttempts < maxFailedAttempts) return 0;
+  return Math.min(maxLockMs, baseLockMs * 2 ** (failedAttempts - maxFailedAttempts));
+};
+
+// Count a wrong password; locks the account once too many have piled up.
+// The counter is incremented atomically so parallel guesses are all counted.
+const recordFailedLogin = async (user) => {
+  const now = new Date();
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { returnDocument: 'after', projection: 'failedLoginAttempts' }
+  );
+  if (!updated) return null;
+
+  const lockMs = getLockDurationMs(updated.failedLoginAttempts);
+  if (lockMs === 0) return null;
+
+  const lockUntil = new Date(now.getTime() + lockMs);
+  await User.updateOne({ _id: user._id }, { $set: { lockUntil } });
+  return lockUntil;
+};
+
+// Reset the counter after a successful login or an admin unlock.
+const clearFailedLogins = (userId) => User.updateOne(
+  { _id: userId },
+  { $set: { failedLoginAttempts: 0, lockUntil: null, lastFailedLoginAt: null } }
+);
+
+const getLockoutStatus = (user) => ({
+  locked: getLockRemainingMs(user) > 0,
+  lockUntil: user.lockUntil || null,
+  failedLoginAttempts: user.failedLoginAttempts || 0,
+  lastFailedLoginAt: user.lastFailedLoginAt || null
+});
+
+module.exports = {
+  compareWithoutUser,
+  getLockRemainingMs,
+  getLockDurationMs,
+  recordFailedLogin,
+  clearFailedLogins,
+  getLockoutStatus
+};
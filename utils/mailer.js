@@ -0,0 +1,179 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const EmailOutbox = require('../models/EmailOutbox');
+const { renderTemplate } = require('./emailTemplates');
+
+// Wait before retry n (1-based); a message fails for good after the last one.
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const SENDING_LOCK_MS = 5 * 60 * 1000;
+
+// Which NODE_ENV values may use the transports that write messages, one-time links included,
+// to the log or to disk. Everything else (production, staging, unset) needs MAIL_TRANSPORT=smtp.
+const LOCAL_TRANSPORT_ENVS = {
+  console: ['development'],
+  file: ['development', 'test']
+};
+
+// Transports share nodemailer's sendMail({ from, to, subject, text, html }) shape.
+// MAIL_TRANSPORT=smtp for real delivery; console (the development default) and file (MAIL_FILE_DIR) are local only.
+const createTransport = () => {
+  const env = process.env.NODE_ENV;
+  const kind = process.env.MAIL_TRANSPORT || (env === 'development' ? 'console' : null);
+  if (!kind) throw new Error('MAIL_TRANSPORT=smtp must be set outside development');
+  if (LOCAL_TRANSPORT_ENVS[kind] && !LOCAL_TRANSPORT_ENVS[kind].includes(env)) {
+    throw new Error(`MAIL_TRANSPORT=${kind} is only allowed with NODE_ENV=${LOCAL_TRANSPORT_ENVS[kind].join(' or ')}`);
+  }
+
+  if (kind === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  if (kind === 'file') {
+    const directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    return {
+      async sendMail(message) {
+        await fs.mkdir(directory, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+        await fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+      }
+    };
+  }
+
+  if (kind === 'console') {
+    return {
+      async sendMail(message) {
+        console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+      }
+    };
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT '${kind}'`);
+};
+
+let transport = null;
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// The rendered body holds one-time links (reset and verification tokens); it is only kept until the message
+// is sent or has failed for good.
+const CLEARED_BODY = { text: 1, html: 1 };
+
+// Send one claimed outbox message and record the outcome.
+const deliverMessage = async (message) => {
+  const attempts = message.attempts + 1;
+  try {
+    await getTransport().sendMail({
+      from: process.env.MAIL_FROM || 'no-reply@localhost',
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      {
+        $set: { status: 'sent', attempts, sentAt: new Date(), lockedUntil: null, lastError: null },
+        $unset: CLEARED_BODY
+      }
+    );
+    return true;
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          attempts,
+          failedAt: failed ? new Date() : null,
+          lockedUntil: null,
+          lastError: error.message,
+          nextAttemptAt: failed ? null : new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1])
+        },
+        ...(failed ? { $unset: CLEARED_BODY } : {})
+      }
+    );
+    console.error(`Email ${message._id} to ${message.to} failed (attempt ${attempts}):`, error.message);
+    return false;
+  }
+};
+
+// Render a template into the outbox and try to send it right away.
+// The caller does not wait for delivery; failures are retried from the outbox.
+const queueEmail = async ({ to, template, data }) => {
+  const { subject, text, html } = renderTemplate(template, data);
+  const message = await EmailOutbox.create({
+    to,
+    template,
+    subject,
+    text,
+    html,
+    status: 'sending',
+    lockedUntil: new Date(Date.now() + SENDING_LOCK_MS)
+  });
+  deliverMessage(message).catch((error) => console.error('Email delivery crashed:', error.message));
+  return message;
+};
+
+// Claim the next due message: pending ones whose retry time has come, or sends abandoned by a crashed worker.
+const claimNextMessage = () => {
+  const now = new Date();
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SENDING_LOCK_MS) } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+};
+
+// Send up to `batchSize` due messages. Returns how many were attempted.
+const processOutbox = async ({ batchSize = 20 } = {}) => {
+  let processed = 0;
+  while (processed < batchSize) {
+    const message = await claimNextMessage();
+    if (!message) break;
+    await deliverMessage(message);
+    processed += 1;
+  }
+  return processed;
+};
+
+// Periodic outbox retries for the running server (MAIL_OUTBOX_INTERVAL_MS, default 30s).
+// The transport is created up front so a bad mail configuration stops the server at startup.
+const startOutboxWorker = (intervalMs = Number(process.env.MAIL_OUTBOX_INTERVAL_MS) || 30 * 1000) => {
+  getTransport();
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } catch (error) {
+      console.error('Email outbox run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  queueEmail,
+  processOutbox,
+  startOutboxWorker
+};
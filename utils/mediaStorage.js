@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const { imageTypes, mediaCacheMaxAgeMs } = require('../config/mediaConfig');
+
+// MIME type of an image buffer from its leading bytes, or null when it is not a supported image.
+const detectImageType = (buffer) => {
+  for (const [mimeType, { signatures }] of Object.entries(imageTypes)) {
+    const matches = signatures.some((signature) => buffer.length >= signature.length
+      && signature.every((byte, index) => byte === null || buffer[index] === byte));
+    if (matches) return mimeType;
+  }
+  return null;
+};
+
+// Unguessable storage key; a new key per upload keeps cached URLs valid forever.
+const createMediaKey = (prefix, mimeType) => `${prefix}/${crypto.randomBytes(16).toString('hex')}.${imageTypes[mimeType].extension}`;
+
+// Storage adapters share one shape, keyed by relative paths such as "products/<id>/<random>.png":
+// - save({ key, buffer, contentType }) stores a file
+// - remove(key) deletes it (missing files are ignored)
+// - getUrl(key) returns the public URL
+// - middleware() (optional) serves the files when the adapter has no public host of its own
+// An S3-compatible adapter maps these to PutObject, DeleteObject and the bucket or CDN URL.
+const createLocalStorage = ({ directory, publicPath }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(`${path.resolve(directory)}${path.sep}`)) throw new Error(`Invalid media key '${key}'`);
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    publicPath,
+
+    async save({ key, buffer }) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    getUrl(key) {
+      return `${publicPath}/${key}`;
+    },
+
+    middleware() {
+      return express.static(directory, {
+        maxAge: mediaCacheMaxAgeMs,
+        immutable: true,
+        index: false,
+        dotfiles: 'deny',
+        setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff')
+      });
+    }
+  };
+};
+
+// MEDIA_STORAGE selects the adapter (default local: MEDIA_DIR, served under /media).
+const createStorage = () => {
+  const kind = process.env.MEDIA_STORAGE || 'local';
+
+  if (kind === 'local') {
+    return createLocalStorage({
+      directory: process.env.MEDIA_DIR || path.join(process.cwd(), 'uploads'),
+      publicPath: '/media'
+    });
+  }
+
+  throw new Error(`Unknown MEDIA_STORAGE '${kind}'`);
+};
+
+let storage = null;
+const getMediaStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+// Delete stored files without failing the caller; leftovers are only wasted space.
+const removeMedia = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getMediaStorage().remove(key);
+    } catch (error) {
+      console.error(`Failed to delete media ${key}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  detectImageType,
+  createMediaKey,
+  createLocalStorage,
+  getMediaStorage,
+  removeMedia
+};
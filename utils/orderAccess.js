@@ -0,0 +1,32 @@
+const { hasPermission, hasAnyPermission } = require('./rbac');
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+// Users (or roles) that read every order.
+const canReadAllOrders = (subject) => hasAnyPermission(subject, ['read_orders', 'manage_orders']);
+
+// Couriers only work with orders assigned to them.
+const isCourier = (subject) => hasPermission(subject, 'read_assigned_orders') && !canReadAllOrders(subject);
+
+// Mongo filter limiting an order listing to what the user may see.
+const getOrderScope = (user) => {
+  if (canReadAllOrders(user)) return {};
+  if (isCourier(user)) return { assignedTo: user._id };
+  return { user: user._id };
+};
+
+// Resource-level read check for one order.
+const canReadOrder = (user, order) => {
+  if (canReadAllOrders(user)) return true;
+  if (isCourier(user)) return sameId(order.assignedTo, user._id);
+  return sameId(order.user, user._id);
+};
+
+module.exports = {
+  sameId,
+  canReadAllOrders,
+  isCourier,
+  getOrderScope,
+  canReadOrder
+};
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { applyCoupon, checkCoupon, recordRedemption, roundMoney } = require('./coupons');
+const { priceOrder } = require('./pricing');
+const { decrementStock, getStockBucket, recordStockMovements } = require('./inventory');
+
+const lineKey = (item) => `${item.product}:${item.variant || ''}`;
+
+// One pending fulfilment group per distinct vendor in the order.
+const buildFulfillments = (orderProducts) => [...new Set(orderProducts.map((line) => String(line.vendor)))]
+  .map((vendor) => ({ vendor, status: 'pending' }));
+
+const stockError = (line) => {
+  const target = line.variant ? `variant ${line.variant} of product ${line.product}` : `product ${line.product}`;
+  return Object.assign(new Error(`Insufficient stock for ${target}`), { statusCode: 409 });
+};
+
+// Load the requested products and check every product and variant can be ordered.
+// Returns the quantity requested per stock bucket and one line per requested item,
+// with price, category and weight snapshotted from the database.
+const loadOrderLines = async (products, session) => {
+  // Aggregate quantities per product/variant so each stock bucket is checked once.
+  const requestedQtyByLine = new Map();
+  for (const item of products) {
+    const key = lineKey(item);
+    if (!requestedQtyByLine.has(key)) {
+      requestedQtyByLine.set(key, { product: String(item.product), variant: item.variant || null, quantity: 0 });
+    }
+    requestedQtyByLine.get(key).quantity += item.quantity;
+  }
+
+  const productIds = [...new Set(products.map((item) => String(item.product)))];
+  const dbProducts = await Product.find({ _id: { $in: productIds } }).session(session);
+  const productMap = new Map(dbProducts.map((product) => [String(product._id), product]));
+
+  for (const line of requestedQtyByLine.values()) {
+    const existing = productMap.get(line.product);
+    if (!existing) {
+      throw Object.assign(new Error(`Product ${line.product} not found`), { statusCode: 404 });
+    }
+
+    if (existing.variants.length > 0 && !line.variant) {
+      throw Object.assign(
+        new Error(`Product ${line.product} requires a variant selection`),
+        { statusCode: 400 }
+      );
+    }
+    if (line.variant) {
+      const variant = existing.variants.id(line.variant);
+      if (!variant || !variant.isActive) {
+        throw Object.assign(
+          new Error(`Variant ${line.variant} of product ${line.product} not found`),
+          { statusCode: 404 }
+        );
+      }
+    }
+  }
+
+  const lines = products.map((item) => {
+    const product = productMap.get(String(item.product));
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    return {
+      product: product._id,
+      variant: variant ? variant._id : null,
+      sku: variant ? variant.sku : undefined,
+      attributes: variant ? variant.attributes : undefined,
+      vendor: product.createdBy,
+      category: product.category,
+      weight: product.getUnitWeight(variant),
+      stock: variant ? variant.stock : product.stock,
+      quantity: item.quantity,
+      price: product.getUnitPrice(variant)
+    };
+  });
+
+  return { requestedQtyByLine, lines };
+};
+
+// Apply an optional coupon, then tax and shipping for the destination.
+// `reserveCoupon` redeems a coupon use (placing an order); quotes only check the coupon.
+const priceLines = async ({ user, lines, shippingAddress, couponCode, session, reserveCoupon }) => {
+  let discount = null;
+  if (couponCode) {
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+    const redeem = reserveCoupon ? applyCoupon : checkCoupon;
+    discount = await redeem({ code: couponCode, user, subtotal, lines, session });
+  }
+  return { discount, pricing: priceOrder({ lines, discount, address: shippingAddress }) };
+};
+
+// Price a basket exactly like placeOrder without placing it: nothing is reserved or written.
+const quoteOrder = async ({ user, products, shippingAddress, couponCode }) => {
+  const { requestedQtyByLine, lines } = await loadOrderLines(products);
+  for (const line of requestedQtyByLine.values()) {
+    const available = lines.find((entry) => lineKey(entry) === lineKey(line)).stock;
+    if (available < line.quantity) throw stockError(line);
+  }
+
+  const { discount, pricing } = await priceLines({ user, lines, shippingAddress, couponCode, reserveCoupon: false });
+  return {
+    products: pricing.lines.map(({ stock, vendor, ...line }) => line),
+    pricesIncludeTax: pricing.pricesIncludeTax,
+    subtotal: pricing.subtotal,
+    discount: discount ? { code: discount.code, amount: discount.amount } : null,
+    taxAmount: pricing.taxAmount,
+    shipping: pricing.shipping,
+    totalAmount: pricing.totalAmount
+  };
+};
+
+// Place an order inside a transaction.
+// Stock is checked and decremented atomically, recorded as sale movements, and prices are snapshotted from the database.
+// An optional coupon is validated and redeemed in the same transaction.
+// Each line stores its subtotal, discount, tax and total so the invoice can be rebuilt later.
+// `afterCreate(order, session)` runs inside the same transaction (e.g. to empty a cart).
+const placeOrder = async ({ user, role, products, shippingAddress, couponCode, afterCreate }) => {
+  const session = await mongoose.startSession();
+  try {
+    let createdOrderId = null;
+
+    await session.withTransaction(async () => {
+      const { requestedQtyByLine, lines } = await loadOrderLines(products, session);
+
+      const sales = [];
+      for (const line of requestedQtyByLine.values()) {
+        const updated = await decrementStock(line, line.quantity, session);
+        if (!updated) throw stockError(line);
+        const { sku, stock } = getStockBucket(updated, line.variant);
+        sales.push({ product: line.product, variant: line.variant, sku, quantity: -line.quantity, stockAfter: stock });
+      }
+
+      const { discount, pricing } = await priceLines({
+        user,
+        lines,
+        shippingAddress,
+        couponCode,
+        session,
+        reserveCoupon: true
+      });
+      const orderProducts = pricing.lines.map(({ category, weight, stock, ...line }) => line);
+
+      const [saved] = await Order.create([{
+        user,
+        products: orderProducts,
+        pricesIncludeTax: pricing.pricesIncludeTax,
+        subtotal: pricing.subtotal,
+        discount: discount || undefined,
+        taxAmount: pricing.taxAmount,
+        shipping: pricing.shipping,
+        totalAmount: pricing.totalAmount,
+        shippingAddress,
+        fulfillments: buildFulfillments(orderProducts),
+        statusHistory: [{ from: null, to: 'pending', changedBy: user, role }]
+      }], { session });
+
+      await recordStockMovements(sales.map((sale) => ({ ...sale, type: 'sale', order: saved._id, actor: user })), session);
+
+      if (discount) {
+        await recordRedemption({ discount, user, order: saved._id, session });
+      }
+
+      if (afterCreate) await afterCreate(saved, session);
+      createdOrderId = saved._id;
+    });
+
+    return Order.findById(createdOrderId);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { quoteOrder, placeOrder };
@@ -0,0 +1,47 @@
+const {
+  orderStatusTransitions,
+  roleStatusTransitions,
+  fulfillmentStatusTransitions,
+  roleFulfillmentTransitions
+} = require('../config/orderStatusConfig');
+const { hasPermission } = require('./rbac');
+
+// Target statuses a user (or role name) may reach from `from` in a transition graph.
+// Role overrides narrow the graph; otherwise `manage_orders` grants the full graph.
+const allowedTargets = (graph, roleOverrides, subject, from) => {
+  const graphTargets = graph[from] || [];
+  const role = typeof subject === 'string' ? subject : subject.role;
+  const override = roleOverrides[role];
+
+  if (override) {
+    return (override[from] || []).filter((status) => graphTargets.includes(status));
+  }
+  if (hasPermission(subject, 'manage_orders')) return graphTargets;
+  return [];
+};
+
+// True when the state machine allows moving from one status to another.
+const isValidTransition = (from, to) => (orderStatusTransitions[from] || []).includes(to);
+
+// Target statuses a user may move an order to from its current status.
+const getAllowedTransitions = (subject, from) => allowedTargets(orderStatusTransitions, roleStatusTransitions, subject, from);
+
+const canRoleTransition = (subject, from, to) => getAllowedTransitions(subject, from).includes(to);
+
+// Same checks for per-vendor fulfilment groups.
+const isValidFulfillmentTransition = (from, to) => (fulfillmentStatusTransitions[from] || []).includes(to);
+
+const canRoleTransitionFulfillment = (subject, from, to) => allowedTargets(
+  fulfillmentStatusTransitions,
+  roleFulfillmentTransitions,
+  subject,
+  from
+).includes(to);
+
+module.exports = {
+  isValidTransition,
+  getAllowedTransitions,
+  canRoleTransition,
+  isValidFulfillmentTransition,
+  canRoleTransitionFulfillment
+};
@@ -0,0 +1,30 @@
+// Shared page/limit pagination helpers for list endpoints.
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Read page/limit from a query string and clamp them to safe bounds.
+const parsePagination = (query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Build the pagination block returned next to `data`.
+const buildPaginationMeta = ({ page, limit }, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  buildPaginationMeta
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { webhookToleranceMs } = require('../config/paymentConfig');
+
+// Webhook signatures: header "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>".
+const signPayload = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+// True when the header signs rawBody with secret and is recent enough.
+const verifySignature = (secret, header, rawBody, toleranceMs = webhookToleranceMs) => {
+  if (typeof header !== 'string' || !rawBody) return false;
+  const parts = Object.fromEntries(header.split(',').map((part) => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Date.now() - timestamp * 1000) > toleranceMs) return false;
+
+  const expected = Buffer.from(signPayload(secret, rawBody, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const webhookError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Providers share one shape:
+// - createIntent({ orderId, amount, currency }) -> { reference, clientSecret, status }
+// - cancelIntent(reference): void an intent that is being replaced
+// - parseWebhook({ rawBody, headers }) -> { id, type, reference, amount, failureReason } (throws on a bad signature)
+// The mock provider settles nothing itself: buildWebhook signs an event exactly like a provider
+// callback, for tests and for POST /payments/mock/:reference/events in development.
+const createMockProvider = ({ secret }) => ({
+  name: 'mock',
+
+  async createIntent() {
+    const reference = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      reference,
+      clientSecret: `${reference}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'pending'
+    };
+  },
+
+  async cancelIntent() {},
+
+  parseWebhook({ rawBody, headers }) {
+    if (!verifySignature(secret, headers['payment-signature'], rawBody)) {
+      throw webhookError('Invalid webhook signature');
+    }
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch (error) {
+      throw webhookError('Webhook body must be JSON');
+    }
+    if (!event || typeof event.id !== 'string' || typeof event.type !== 'string' || !event.data) {
+      throw webhookError('Malformed webhook event');
+    }
+    return {
+      id: event.id,
+      type: event.type,
+      reference: event.data.reference,
+      amount: event.data.amount,
+      failureReason: event.data.failureReason
+    };
+  },
+
+  // Build a signed webhook request for an event, as the provider would send it.
+  buildWebhook({ id = `mock_evt_${crypto.randomBytes(12).toString('hex')}`, type, reference, amount, failureReason }) {
+    const rawBody = JSON.stringify({ id, type, data: { reference, amount, failureReason } });
+    return { rawBody, headers: { 'payment-signature': signPayload(secret, rawBody) } };
+  }
+});
+
+// PAYMENT_PROVIDER selects the provider (default mock).
+// The webhook secret comes from PAYMENT_WEBHOOK_SECRET and is mandatory in production.
+const createProvider = () => {
+  const kind = process.env.PAYMENT_PROVIDER || 'mock';
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret && process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set in production');
+  }
+
+  if (kind === 'mock') return createMockProvider({ secret: secret || 'mock_webhook_secret' });
+
+  throw new Error(`Unknown PAYMENT_PROVIDER '${kind}'`);
+};
+
+let provider = null;
+const getPaymentProvider = () => {
+  if (!provider) provider = createProvider();
+  return provider;
+};
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  createMockProvider,
+  getPaymentProvider
+};
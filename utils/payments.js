@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const {
+  paymentStatusTransitions,
+  paidPaymentStatuses,
+  paymentEventStatuses
+} = require('../config/paymentConfig');
+
+const isOrderPaid = (order) => paidPaymentStatuses.includes(order.payment && order.payment.status);
+
+// Why an event cannot change the order, or null when it can.
+const getIgnoreReason = (order, event, nextStatus) => {
+  if (!nextStatus) return `Unsupported event type ${event.type}`;
+  if (!order) return 'No order for this payment reference';
+  if (!paymentStatusTransitions[order.payment.status].includes(nextStatus)) {
+    return `Payment is ${order.payment.status}; ${nextStatus} ignored`;
+  }
+  if (nextStatus === 'captured' && event.amount !== undefined && event.amount !== order.payment.amount) {
+    return `Captured amount ${event.amount} does not match ${order.payment.amount}`;
+  }
+  return null;
+};
+
+// Apply one verified provider event to its order, at most once per event id.
+// Every event is recorded, including the ones that change nothing, for reconciliation.
+// Returns { duplicate, applied, order, previousStatus }.
+const applyPaymentEvent = async (provider, event) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const seen = await PaymentEvent.findOne({ provider, eventId: event.id }).session(session);
+      if (seen) {
+        result = { duplicate: true, applied: seen.applied, order: null, previousStatus: null };
+        return;
+      }
+
+      const order = event.reference
+        ? await Order.findOne({ 'payment.provider': provider, 'payment.reference': event.reference }).session(session)
+        : null;
+      const nextStatus = paymentEventStatuses[event.type];
+      const note = getIgnoreReason(order, event, nextStatus);
+      const previousStatus = order ? order.payment.status : null;
+
+      if (!note) {
+        const now = new Date();
+        order.payment.status = nextStatus;
+        if (nextStatus === 'captured') order.payment.paidAt = now;
+        if (nextStatus === 'refunded') order.payment.refundedAt = now;
+        order.payment.failureReason = nextStatus === 'failed' ? event.failureReason || 'Payment failed' : undefined;
+        await order.save({ session });
+      }
+
+      await PaymentEvent.create([{
+        provider,
+        eventId: event.id,
+        type: event.type,
+        reference: event.reference,
+        order: order ? order._id : null,
+        applied: !note,
+        note: note || undefined
+      }], { session });
+
+      result = { duplicate: false, applied: !note, order: note ? null : order, previousStatus };
+    });
+    return result;
+  } catch (error) {
+    // Two deliveries of the same event raced; the other one recorded it.
+    if (error.code === 11000) return { duplicate: true, applied: false, order: null, previousStatus: null };
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  isOrderPaid,
+  applyPaymentEvent
+};
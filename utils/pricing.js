@@ -0,0 +1,98 @@
+const pricingConfig = require('../config/pricingConfig');
+const { roundMoney } = require('./coupons');
+
+const pricingError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Tax rate for a product category shipped to an address; 0 when no rule matches.
+const findTaxRate = (address, category, rules = pricingConfig.taxRules) => {
+  let best = null;
+  let bestScore = -1;
+  for (const rule of rules) {
+    if (rule.country !== address.country) continue;
+    if (rule.region && rule.region !== address.region) continue;
+    if (rule.category && rule.category !== category) continue;
+    const score = (rule.region ? 2 : 0) + (rule.category ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best ? best.rate : 0;
+};
+
+const findShippingRule = (address, rules = pricingConfig.shippingRules) => rules.find(
+  (rule) => rule.countries && rule.countries.includes(address.country)
+) || rules.find((rule) => !rule.countries);
+
+const tierAmount = (tiers, value) => (tiers.find((tier) => tier.upTo === undefined || value <= tier.upTo)
+  || tiers[tiers.length - 1]).amount;
+
+// Shipping fee for lines ({ quantity, weight }) sent to an address.
+// `goodsTotal` is the discounted subtotal the free-shipping threshold is measured against.
+const computeShipping = ({ lines, address, goodsTotal }, rules = pricingConfig.shippingRules) => {
+  const rule = findShippingRule(address, rules);
+  if (!rule) throw pricingError(`Shipping to ${address.country} is not available`);
+
+  const weight = roundMoney(lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0));
+  const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+  let amount;
+  if (rule.freeOver !== undefined && goodsTotal >= rule.freeOver) amount = 0;
+  else if (rule.type === 'weight') amount = tierAmount(rule.tiers, weight);
+  else if (rule.type === 'quantity') amount = tierAmount(rule.tiers, quantity);
+  else amount = rule.amount;
+
+  return { method: rule.name, type: rule.type, weight, amount: roundMoney(amount) };
+};
+
+// Price order lines ({ product, category, weight, price, quantity }) for a destination.
+// `discount` is a coupon result from utils/coupons; its line shares are matched to lines in order.
+// Returns per-line subtotal, discount, tax and total plus the order totals.
+const priceOrder = ({ lines, discount, address }, config = pricingConfig) => {
+  const discountLines = discount ? discount.lines : [];
+  let nextDiscount = 0;
+
+  const pricedLines = lines.map((line) => {
+    const subtotal = roundMoney(line.price * line.quantity);
+    let discountAmount = 0;
+    const share = discountLines[nextDiscount];
+    if (share && String(share.product) === String(line.product)) {
+      discountAmount = share.amount;
+      nextDiscount += 1;
+    }
+
+    const taxable = roundMoney(subtotal - discountAmount);
+    const taxRate = findTaxRate(address, line.category, config.taxRules);
+    const taxAmount = config.pricesIncludeTax
+      ? roundMoney(taxable - taxable / (1 + taxRate))
+      : roundMoney(taxable * taxRate);
+    const total = config.pricesIncludeTax ? taxable : roundMoney(taxable + taxAmount);
+
+    return { ...line, subtotal, discountAmount, taxRate, taxAmount, total };
+  });
+
+  const sum = (field) => roundMoney(pricedLines.reduce((total, line) => total + line[field], 0));
+  const subtotal = sum('subtotal');
+  const discountAmount = discount ? discount.amount : 0;
+  const taxAmount = sum('taxAmount');
+  const shipping = computeShipping(
+    { lines, address, goodsTotal: roundMoney(subtotal - discountAmount) },
+    config.shippingRules
+  );
+
+  return {
+    lines: pricedLines,
+    pricesIncludeTax: config.pricesIncludeTax,
+    subtotal,
+    discountAmount,
+    taxAmount,
+    shipping,
+    totalAmount: roundMoney(sum('total') + shipping.amount)
+  };
+};
+
+module.exports = {
+  findTaxRate,
+  computeShipping,
+  priceOrder
+};
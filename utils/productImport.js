@@ -0,0 +1,158 @@
+const { parseCsv, toCsvRow } = require('./csv');
+
+// Bulk files hold at most this many products.
+const MAX_IMPORT_PRODUCTS = 1000;
+
+// Product fields an import may set; everything else (owner, slug, SEO, ratings) is left alone.
+const IMPORT_FIELDS = ['name', 'description', 'category', 'price', 'stock', 'weight', 'image', 'variants'];
+
+// CSV layout: one row per product, or one row per variant with the product columns repeated.
+// Rows sharing a name form one product; its product columns are read from the first of those rows.
+// attributes are written as "size=M;colour=Red".
+const PRODUCT_COLUMNS = ['name', 'category', 'price', 'description', 'stock', 'weight', 'image'];
+const VARIANT_COLUMNS = ['sku', 'attributes', 'variantPrice', 'variantStock', 'variantWeight', 'variantActive'];
+// Exported for reference only and ignored on import.
+const READ_ONLY_COLUMNS = ['id', 'slug', 'vendor'];
+const CSV_COLUMNS = [...READ_ONLY_COLUMNS, ...PRODUCT_COLUMNS, ...VARIANT_COLUMNS];
+
+const importError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const FORMULA_ESCAPE = /^'[=+\-@\t\r]/;
+
+// Undo the formula guard added on export and turn empty cells into "not set".
+const readText = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return FORMULA_ESCAPE.test(value) ? value.slice(1) : value;
+};
+
+// Numbers are converted when they look like numbers; anything else is passed on for validation to reject.
+const readNumber = (value) => {
+  const text = readText(value);
+  if (text === undefined) return undefined;
+  return /^-?\d+(\.\d+)?$/.test(text.trim()) ? Number(text) : text;
+};
+
+const readBoolean = (value) => {
+  const text = readText(value);
+  if (text === undefined) return undefined;
+  if (/^(true|yes|1)$/i.test(text.trim())) return true;
+  if (/^(false|no|0)$/i.test(text.trim())) return false;
+  return text;
+};
+
+const readAttributes = (value) => {
+  const text = readText(value);
+  if (text === undefined) return undefined;
+  const attributes = {};
+  for (const pair of text.split(';')) {
+    const [key, ...rest] = pair.split('=');
+    if (key.trim()) attributes[key.trim()] = rest.join('=').trim();
+  }
+  return attributes;
+};
+
+const pickDefined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+// Turn CSV text into import entries: { rows: [line numbers], body } with the same shape as POST /products.
+const csvToEntries = (text) => {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    throw importError(error.message);
+  }
+  if (records.length < 2) throw importError('CSV needs a header row and at least one product row.');
+
+  const header = records[0].map((column) => column.trim());
+  const unknown = header.filter((column) => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) throw importError(`Unknown CSV columns: ${unknown.join(', ')}.`);
+  if (!header.includes('name')) throw importError('CSV must have a name column.');
+
+  const entries = new Map();
+  for (const record of records.slice(1)) {
+    const row = Object.fromEntries(header.map((column, index) => [column, record[index]]));
+    const name = readText(row.name) ? readText(row.name).trim() : '';
+    const key = name || `#${record.line}`;
+
+    if (!entries.has(key)) {
+      entries.set(key, {
+        rows: [],
+        body: pickDefined({
+          name: name || undefined,
+          category: readText(row.category),
+          price: readNumber(row.price),
+          description: readText(row.description),
+          stock: readNumber(row.stock),
+          weight: readNumber(row.weight),
+          image: readText(row.image)
+        })
+      });
+    }
+
+    const entry = entries.get(key);
+    entry.rows.push(record.line);
+    if (readText(row.sku) !== undefined) {
+      entry.body.variants = entry.body.variants || [];
+      entry.body.variants.push(pickDefined({
+        sku: readText(row.sku),
+        attributes: readAttributes(row.attributes),
+        price: readNumber(row.variantPrice),
+        stock: readNumber(row.variantStock),
+        weight: readNumber(row.variantWeight),
+        isActive: readBoolean(row.variantActive)
+      }));
+    }
+  }
+  return [...entries.values()];
+};
+
+// JSON imports are an array of POST /products bodies, or { products: [...] }.
+const jsonToEntries = (body) => {
+  const products = Array.isArray(body) ? body : body && body.products;
+  if (!Array.isArray(products)) throw importError('JSON import must be an array of products or { products: [...] }.');
+  return products.map((product, index) => ({
+    rows: [index + 1],
+    body: product && typeof product === 'object' && !Array.isArray(product)
+      ? pickDefined(Object.fromEntries(IMPORT_FIELDS.map((field) => [field, product[field]])))
+      : {}
+  }));
+};
+
+// CSV rows for one product: one per variant, or a single row without variant columns.
+const productToCsvRows = (product) => {
+  const base = [
+    product._id,
+    product.slug,
+    product.createdBy,
+    product.name,
+    product.category,
+    product.price,
+    product.description,
+    product.stock,
+    product.weight,
+    product.image
+  ];
+  const variants = product.variants || [];
+  if (variants.length === 0) return toCsvRow([...base, '', '', '', '', '', '']);
+
+  return variants.map((variant) => toCsvRow([
+    ...base,
+    variant.sku,
+    Object.entries(variant.attributes || {}).map(([key, value]) => `${key}=${value}`).join(';'),
+    variant.price,
+    variant.stock,
+    variant.weight,
+    variant.isActive
+  ])).join('');
+};
+
+const csvHeader = () => toCsvRow(CSV_COLUMNS);
+
+module.exports = {
+  MAX_IMPORT_PRODUCTS,
+  IMPORT_FIELDS,
+  csvToEntries,
+  jsonToEntries,
+  productToCsvRows,
+  csvHeader
+};
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Sort options accepted by the catalog listing (`?sort=`).
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  name_asc: { name: 1, _id: 1 },
+  name_desc: { name: -1, _id: 1 },
+  rating_desc: { ratingAverage: -1, ratingCount: -1, _id: 1 }
+};
+
+// Price bucket boundaries used for facet counts.
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+const toList = (value) => String(value)
+  .split(',')
+  .map((part) => part.trim())
+  .filter(Boolean);
+
+// Translate catalog query parameters into a Mongo match stage.
+// Expects the query to have passed validateProductListQuery already.
+const buildProductFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.category) {
+    const categories = toList(query.category);
+    filter.category = categories.length === 1 ? categories[0] : { $in: categories };
+  }
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    filter.price = {};
+    if (query.minPrice !== undefined) filter.price.$gte = Number(query.minPrice);
+    if (query.maxPrice !== undefined) filter.price.$lte = Number(query.maxPrice);
+  }
+
+  // Variant products count as in stock when any variant has stock.
+  if (query.inStock === 'true') {
+    filter.$or = [{ stock: { $gt: 0 } }, { 'variants.stock': { $gt: 0 } }];
+  }
+  if (query.inStock === 'false') {
+    filter.stock = { $lte: 0 };
+    filter['variants.stock'] = { $not: { $gt: 0 } };
+  }
+
+  if (query.vendor) {
+    filter.createdBy = new mongoose.Types.ObjectId(String(query.vendor));
+  }
+
+  if (query.q) {
+    filter.$text = { $search: String(query.q) };
+  }
+
+  return filter;
+};
+
+// Resolve the sort stage. Text searches default to relevance ordering.
+const buildProductSort = (query = {}) => {
+  if (query.sort && SORT_OPTIONS[query.sort]) return SORT_OPTIONS[query.sort];
+  if (query.q) return { score: { $meta: 'textScore' }, _id: 1 };
+  return SORT_OPTIONS.newest;
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  PRICE_BUCKETS,
+  buildProductFilter,
+  buildProductSort
+};
@@ -0,0 +1,88 @@
+const { isValidSlug } = require('./slugs');
+const {
+  isNonEmptyString,
+  isNonNegativeFinite,
+  isNonNegativeInteger,
+  isAbsoluteHttpUrl
+} = require('./validation');
+
+// Product body rules shared by the product validators (middleware/validateBody.js)
+// and bulk import rows (controllers/productController.js).
+
+// Shared variant list checks. Returns an error message or null.
+const getVariantsError = (variants) => {
+  if (!Array.isArray(variants)) return 'Product variants must be an array.';
+  for (const variant of variants) {
+    if (!variant || !isNonEmptyString(variant.sku)) return 'Each variant must include a SKU.';
+    if (variant.attributes !== undefined) {
+      const { attributes } = variant;
+      if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)
+        || !Object.values(attributes).every(isNonEmptyString)) {
+        return 'Variant attributes must be an object of text values.';
+      }
+    }
+    if (variant.price !== undefined && variant.price !== null
+      && (typeof variant.price !== 'number' || Number.isNaN(variant.price) || variant.price < 0)) {
+      return 'Variant price must be a valid non-negative number.';
+    }
+    if (variant.stock !== undefined && (!Number.isInteger(variant.stock) || variant.stock < 0)) {
+      return 'Variant stock must be a valid non-negative integer.';
+    }
+    if (variant.weight !== undefined && variant.weight !== null && !isNonNegativeFinite(variant.weight)) {
+      return 'Variant weight must be a valid non-negative number.';
+    }
+  }
+  const skus = variants.map((variant) => variant.sku.trim().toUpperCase());
+  if (new Set(skus).size !== skus.length) return 'Variant SKUs must be unique within a product.';
+  return null;
+};
+
+// Shared by product create and the SEO route; returns an error message or null.
+const getSeoFieldsError = ({ slug, metaTitle, metaDescription, canonicalUrl, keywords }) => {
+  if (slug !== undefined && !isValidSlug(slug)) {
+    return 'slug must be lowercase letters and digits separated by single hyphens (max 80 characters).';
+  }
+  if (metaTitle !== undefined && (typeof metaTitle !== 'string' || metaTitle.length > 70)) {
+    return 'metaTitle must be a string of at most 70 characters.';
+  }
+  if (metaDescription !== undefined && (typeof metaDescription !== 'string' || metaDescription.length > 160)) {
+    return 'metaDescription must be a string of at most 160 characters.';
+  }
+  if (canonicalUrl !== undefined && canonicalUrl !== '' && !isAbsoluteHttpUrl(canonicalUrl)) {
+    return 'canonicalUrl must be an absolute http(s) URL.';
+  }
+  if (keywords !== undefined && (!Array.isArray(keywords) || !keywords.every(isNonEmptyString))) {
+    return 'keywords must be an array of non-empty strings.';
+  }
+  return null;
+};
+
+// Product create rules, shared with bulk import rows. Returns an error message or null.
+const getCreateProductBodyError = (body) => {
+  const { name, price, category, weight, lowStockThreshold, variants, slug, seo } = body || {};
+  if (!isNonEmptyString(name)) return 'Product name is required.';
+  if (typeof price !== 'number' || Number.isNaN(price) || price < 0) {
+    return 'Product price must be a valid non-negative number.';
+  }
+  if (!isNonEmptyString(category)) return 'Product category is required.';
+  if (weight !== undefined && !isNonNegativeFinite(weight)) {
+    return 'Product weight must be a valid non-negative number.';
+  }
+  if (lowStockThreshold !== undefined && !isNonNegativeInteger(lowStockThreshold)) {
+    return 'lowStockThreshold must be a valid non-negative integer.';
+  }
+  if (variants !== undefined) {
+    const error = getVariantsError(variants);
+    if (error) return error;
+  }
+  if (seo !== undefined && (seo === null || typeof seo !== 'object' || Array.isArray(seo))) {
+    return 'seo must be an object.';
+  }
+  return getSeoFieldsError({ slug, ...seo });
+};
+
+module.exports = {
+  getVariantsError,
+  getSeoFieldsError,
+  getCreateProductBodyError
+};
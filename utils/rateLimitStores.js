@@ -0,0 +1,77 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+// Rate-limit stores count hits per key inside a fixed window.
+// Interface: increment(key, windowMs) -> { count, resetAt }, reset(key).
+
+// Single-process store; counters are lost on restart and not shared between instances.
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const sweep = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (counters.size > 10000) sweep(now);
+
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+// MongoDB store shared by every instance.
+// One pipeline upsert increments the live window or starts a new one atomically.
+const createMongoStore = () => {
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const isLive = { $gt: ['$resetAt', now] };
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [isLive, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [isLive, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, returnDocument: 'after', updatePipeline: true }
+    );
+    return { count: counter.count, resetAt: counter.resetAt };
+  };
+
+  return {
+    async increment(key, windowMs) {
+      try {
+        return await increment(key, windowMs);
+      } catch (error) {
+        // Two first hits can race on the unique key; the loser simply retries.
+        if (error.code === 11000) return increment(key, windowMs);
+        throw error;
+      }
+    },
+    async reset(key) {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+};
+
+// RATE_LIMIT_STORE=mongo for deployments with more than one instance.
+const createDefaultStore = () => (process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore());
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createDefaultStore
+};
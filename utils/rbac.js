@@ -1,23 +1,94 @@
 const rolesHierarchy = require('../config/rolesConfig');
+const Role = require('../models/Role');
 
-const getRoleConfig = (role) => rolesHierarchy[role] || null;
+// Roles are read from an in-process cache.
+// It starts from the static config and is replaced by the database copy once loaded.
+const ROLE_CACHE_TTL_MS = Number(process.env.ROLE_CACHE_TTL_MS) || 60 * 1000;
+
+let roleCache = { ...rolesHierarchy };
+let roleCacheLoadedAt = 0;
+
+// Insert configured roles missing from the database and add permissions newly introduced
+// in the config to existing system roles. Runtime edits are otherwise left untouched.
+const seedRoles = async () => {
+  for (const [name, config] of Object.entries(rolesHierarchy)) {
+    const existing = await Role.findOne({ name });
+    if (!existing) {
+      await Role.create({
+        name,
+        rank: config.rank,
+        permissions: config.permissions,
+        seededPermissions: config.permissions,
+        isSystem: true
+      });
+      continue;
+    }
+
+    const added = config.permissions.filter((permission) => !existing.seededPermissions.includes(permission));
+    if (added.length > 0) {
+      await Role.updateOne(
+        { _id: existing._id },
+        { $addToSet: { permissions: { $each: added }, seededPermissions: { $each: added } } }
+      );
+    }
+  }
+};
+
+// Reload the cache from the database.
+const refreshRoleCache = async () => {
+  const roles = await Role.find().lean();
+  // Keep the config fallback until the collection has been seeded.
+  if (roles.length > 0) {
+    roleCache = Object.fromEntries(roles.map((role) => [role.name, { rank: role.rank, permissions: role.permissions }]));
+  }
+  roleCacheLoadedAt = Date.now();
+};
+
+// Reload when the cache is older than the TTL, so changes made by other instances propagate.
+const ensureFreshRoles = async () => {
+  if (Date.now() - roleCacheLoadedAt < ROLE_CACHE_TTL_MS) return;
+  try {
+    await refreshRoleCache();
+  } catch (error) {
+    console.error('Failed to refresh role cache:', error.message);
+  }
+};
+
+const initRoles = async () => {
+  await seedRoles();
+  await refreshRoleCache();
+};
+
+const getRoleConfig = (role) => roleCache[role] || null;
+
+const getRoleNames = () => Object.keys(roleCache);
 
 const getRoleRank = (role) => {
   const config = getRoleConfig(role);
   return config ? config.rank : 0;
 };
 
-const hasPermission = (role, permission) => {
-  const config = getRoleConfig(role);
+// Permission subjects are a role name or a user carrying per-user grants and denials.
+// Denials win over grants, and grants add to the role's permissions.
+const hasPermission = (subject, permission) => {
+  const user = typeof subject === 'string' ? { role: subject } : subject || {};
+  if ((user.permissionDenials || []).includes(permission)) return false;
+  if ((user.permissionGrants || []).includes(permission)) return true;
+
+  const config = getRoleConfig(user.role);
   if (!config) return false;
   if (config.permissions.includes('all')) return true;
   return config.permissions.includes(permission);
 };
 
-const hasAnyPermission = (role, permissions) => permissions.some((permission) => hasPermission(role, permission));
+const hasAnyPermission = (subject, permissions) => permissions.some((permission) => hasPermission(subject, permission));
 
 module.exports = {
+  initRoles,
+  refreshRoleCache,
+  ensureFreshRoles,
   getRoleConfig,
+  getRoleNames,
   getRoleRank,
   hasPermission,
   hasAnyPermission
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+
+// True when the user has a delivered order containing the product.
+const isVerifiedBuyer = (userId, productId) => Order.exists({
+  user: userId,
+  status: 'delivered',
+  'products.product': productId
+});
+
+// Recompute a product's average rating and review count from visible reviews.
+const refreshProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), isHidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      $set: {
+        ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+        ratingCount: stats ? stats.count : 0
+      }
+    }
+  );
+};
+
+module.exports = {
+  isVerifiedBuyer,
+  refreshProductRating
+};
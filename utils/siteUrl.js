@@ -0,0 +1,4 @@
+// Storefront base URL used in product links and emails; no trailing slash.
+const getSiteUrl = () => (process.env.SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+module.exports = { getSiteUrl };
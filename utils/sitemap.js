@@ -0,0 +1,30 @@
+const { getSiteUrl } = require('./siteUrl');
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+// Public URL of a product: its canonical URL when set, the slug page otherwise.
+const getProductUrl = (product) => (product.seo && product.seo.canonicalUrl)
+  || `${getSiteUrl()}/products/${encodeURIComponent(product.slug)}`;
+
+// Render a sitemaps.org urlset from { loc, lastmod } entries.
+const buildSitemap = (entries) => {
+  const urls = entries.map(({ loc, lastmod }) => {
+    const lastmodTag = lastmod ? `<lastmod>${new Date(lastmod).toISOString()}</lastmod>` : '';
+    return `  <url><loc>${escapeXml(loc)}</loc>${lastmodTag}</url>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  escapeXml,
+  getProductUrl,
+  buildSitemap
+};
@@ -0,0 +1,42 @@
+const SlugRedirect = require('../models/SlugRedirect');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 80;
+
+// Turn a product name into a URL slug: "Café Latte 2-Pack!" -> "cafe-latte-2-pack".
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/g, '');
+
+const isValidSlug = (slug) => typeof slug === 'string' && slug.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(slug);
+
+// A slug is taken when another product uses it, or when it still redirects to another product.
+// Model is passed in by the Product schema hooks to avoid a circular require.
+// The queries run one after the other: the session may be a transaction, which allows no parallel operations.
+const isSlugTaken = async (ProductModel, slug, productId, session = null) => {
+  if (await ProductModel.exists({ slug, _id: { $ne: productId } }).session(session)) return true;
+  return Boolean(await SlugRedirect.exists({ fromSlug: slug, product: { $ne: productId } }).session(session));
+};
+
+// First free slug out of "name", "name-2", "name-3", ...
+const generateUniqueSlug = async (ProductModel, name, productId, session = null) => {
+  const base = slugify(name) || 'product';
+  let candidate = base;
+  for (let suffix = 2; await isSlugTaken(ProductModel, candidate, productId, session); suffix += 1) {
+    candidate = `${base.slice(0, MAX_SLUG_LENGTH - String(suffix).length - 1)}-${suffix}`;
+  }
+  return candidate;
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  slugify,
+  isValidSlug,
+  isSlugTaken,
+  generateUniqueSlug
+};
@@ -0,0 +1,46 @@
+const { hasPermission } = require('./rbac');
+const { sameId } = require('./orderAccess');
+const { ticketSlaHours } = require('../config/ticketConfig');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Support staff see every ticket and internal notes.
+const isSupportStaff = (subject) => hasPermission(subject, 'manage_tickets');
+
+// Mongo filter limiting a ticket listing to what the user may see.
+const getTicketScope = (user) => (isSupportStaff(user) ? {} : { customer: user._id });
+
+const canReadTicket = (user, ticket) => isSupportStaff(user) || sameId(ticket.customer, user._id);
+
+// (Re)compute SLA due dates from the ticket's creation time and priority.
+const applySlaTargets = (ticket) => {
+  const openedAt = ticket.createdAt || new Date();
+  const targets = ticketSlaHours[ticket.priority];
+  ticket.firstResponseDueAt = new Date(openedAt.getTime() + targets.firstResponse * HOUR_MS);
+  ticket.resolutionDueAt = new Date(openedAt.getTime() + targets.resolution * HOUR_MS);
+};
+
+// Whether each SLA target was (or already is) missed.
+const getSlaState = (ticket, now = new Date()) => ({
+  firstResponseBreached: (ticket.firstResponseAt || now) > ticket.firstResponseDueAt,
+  resolutionBreached: (ticket.resolvedAt || ticket.closedAt || now) > ticket.resolutionDueAt
+});
+
+// Response shape: customers never see internal notes.
+const toTicketView = (ticket, user) => {
+  const view = ticket.toObject();
+  if (view.messages && !isSupportStaff(user)) {
+    view.messages = view.messages.filter((message) => !message.isInternal);
+  }
+  view.sla = getSlaState(ticket);
+  return view;
+};
+
+module.exports = {
+  isSupportStaff,
+  getTicketScope,
+  canReadTicket,
+  applySlaTargets,
+  getSlaState,
+  toTicketView
+};
@@ -0,0 +1,22 @@
+// Value checks shared by the request validators (middleware/validateBody.js) and the rule modules in utils/.
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isNonNegativeFinite = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const isAbsoluteHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  isNonEmptyString,
+  isNonNegativeFinite,
+  isNonNegativeInteger,
+  isAbsoluteHttpUrl
+};